@@ -15,6 +15,19 @@ const PORT = process.env.PORT || 3000;
 
 // Import database connection function
 const db = require('./database/connection');
+const { migrateUp } = require('./database/migrate');
+const oidc = require('./services/oidc');
+const { DatabaseSessionStore } = require('./database/sessionStore');
+const { scheduleAuditRetention } = require('./services/audit');
+const { scheduleTrashPurge } = require('./services/trash');
+const { loadWorkflows } = require('./services/workflows');
+const { VISIBILITY_OPTIONS } = require('./services/projectVisibility');
+const {
+  refreshSessionUser,
+  requireActiveAccount,
+  trackSessionClient,
+  apiTokenAuth
+} = require('./middleware/auth');
 
 // Security middleware
 app.use(helmet({
@@ -35,17 +48,26 @@ const generalLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.'
 });
 
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 login attempts per windowMs
-  message: 'Too many login attempts, please try again later.',
-  skipSuccessfulRequests: true
-});
+// Login attempts are throttled per account and IP by authRateLimit
+// (middleware/auth.js), which keeps its state in the database
 
 app.use(generalLimiter);
 
+// Database middleware
+app.use((req, res, next) => {
+  req.db = db;
+  next();
+});
+
+// API requests with a bearer token are authenticated here instead of by
+// a session cookie
+app.use('/api', apiTokenAuth);
+
 // Session configuration - improved security
+// Sessions are stored in the database so they survive restarts and can be
+// shared by several processes
 app.use(session({
+  store: new DatabaseSessionStore({ db: db }),
   secret: process.env.SESSION_SECRET || 'fallback-for-development-only',
   resave: false,
   saveUninitialized: false,
@@ -53,7 +75,7 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production', // HTTPS in production
     httpOnly: true,
     maxAge: 1800000, // 30 minutes
-    sameSite: 'strict' // CSRF protection
+    sameSite: 'strict' // CSRF protection; the single sign-on callback re-enters the site itself (routes/oidc.js)
   },
   name: 'sessionId' // Don't use default session name
 }));
@@ -71,6 +93,9 @@ app.set('layout', 'layouts/main');
 app.set('layout extractScripts', true);
 app.set('layout extractStyles', true);
 
+// Labels and icons for the project visibility settings
+app.locals.visibilityOptions = VISIBILITY_OPTIONS;
+
 // CSRF protection - exclude certain routes
 const csrfProtection = csrf({ 
   cookie: false,
@@ -82,24 +107,57 @@ app.use((req, res, next) => {
   // Make session user available to all views
   res.locals.user = req.session.user || null;
   res.locals.title = 'Project Manager';
+  // Label for the single sign-on button (null when SSO is not configured)
+  res.locals.ssoProvider = oidc.providerName();
   next();
 });
 
-// Database middleware
-app.use((req, res, next) => {
-  req.db = db;
-  next();
+// Phase workflows, read by the project validators, routes and views (cached
+// in memory by loadWorkflows)
+app.use(async (req, res, next) => {
+  try {
+    req.workflows = await loadWorkflows(req.db);
+    res.locals.workflows = req.workflows;
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
+// Reload role and account state for logged-in users
+app.use(refreshSessionUser);
+app.use(requireActiveAccount);
+app.use(trackSessionClient);
+
 // Import route modules
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/project');
+const taskRoutes = require('./routes/tasks');
+const commentRoutes = require('./routes/comments');
+const attachmentRoutes = require('./routes/attachments');
+const trashRoutes = require('./routes/trash');
+const analyticsRoutes = require('./routes/analytics');
+const templateRoutes = require('./routes/templates');
+const dependencyRoutes = require('./routes/dependencies');
 const publicRoutes = require('./routes/public');
+const accountRoutes = require('./routes/account');
+const oidcRoutes = require('./routes/oidc');
+const adminRoutes = require('./routes/admin');
 
 // Use route modules
 app.use('/', publicRoutes);
 app.use('/', authRoutes.router);
 app.use('/', projectRoutes);
+app.use('/', taskRoutes);
+app.use('/', commentRoutes);
+app.use('/', attachmentRoutes);
+app.use('/', trashRoutes);
+app.use('/', analyticsRoutes);
+app.use('/', templateRoutes);
+app.use('/', dependencyRoutes);
+app.use('/', accountRoutes);
+app.use('/', oidcRoutes);
+app.use('/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -153,14 +211,33 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Start server with database initialization
 async function startServer() {
   try {
+    // Links in emails are built from APP_URL, never from request headers
+    if (!process.env.APP_URL) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('APP_URL must be set to the public URL of the site');
+      }
+      console.warn('APP_URL is not set: emails with links (password resets, verification) will not be sent');
+    }
+    
     // Test database connection
     await db.testConnection();
     
+    // The embedded database lives with the process, so keep its schema current here
+    if (db.client === 'sqlite') {
+      await migrateUp(db);
+    }
+    
+    // Drop audit events past AUDIT_RETENTION_DAYS
+    scheduleAuditRetention(db);
+    
+    // Purge projects left in the trash past TRASH_RETENTION_DAYS
+    scheduleTrashPurge(db);
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`Database: ${process.env.DB_NAME}`);
+      console.log(`Database: ${db.client === 'sqlite' ? db.filename : process.env.DB_NAME}`);
       
       if (process.env.NODE_ENV !== 'production') {
         console.log('\nDevelopment Mode:');
@@ -0,0 +1,111 @@
+// MySQL adapter - wraps a mysql2 pool or connection in the shared
+// execute() contract used by the routes. query() is MySQL-only, for
+// statements the prepared protocol can't run (CREATE DATABASE, USE).
+const mysql = require('mysql2/promise');
+
+// MySQL 8 rejects numeric placeholders in LIMIT/OFFSET for prepared
+// statements, so those values are sent as strings instead
+function bindLimitParams(sql, params) {
+    if (!params || params.length === 0 || !/\b(LIMIT|OFFSET)\b/i.test(sql)) {
+        return params;
+    }
+    
+    const bound = [...params];
+    let index = 0;
+    let quote = null;
+    
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        
+        if (quote) {
+            if (char === quote) quote = null;
+            continue;
+        }
+        
+        if (char === "'" || char === '"' || char === '`') {
+            quote = char;
+        } else if (char === '?') {
+            const before = sql.slice(0, i).trimEnd();
+            
+            if (/\b(LIMIT|OFFSET)$/i.test(before) || /\bLIMIT\s+\?\s*,$/i.test(before)) {
+                if (typeof bound[index] === 'number') {
+                    bound[index] = String(bound[index]);
+                }
+            }
+            index++;
+        }
+    }
+    
+    return bound;
+}
+
+// Wrap a pool or single connection
+function wrap(target) {
+    return {
+        dialect: 'mysql',
+        
+        execute(sql, params = []) {
+            return target.execute(sql, bindLimitParams(sql, params));
+        },
+        
+        query(sql, params) {
+            return target.query(sql, params);
+        },
+        
+        // Run `work(adapter)` in one transaction on a single connection,
+        // rolling back if it throws. DDL commits implicitly in MySQL, so this
+        // is for data changes only.
+        async transaction(work) {
+            const connection = target.getConnection ? await target.getConnection() : target;
+            
+            try {
+                await connection.beginTransaction();
+                const result = await work(wrap(connection));
+                await connection.commit();
+                return result;
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                if (connection !== target) {
+                    connection.release();
+                }
+            }
+        },
+        
+        end() {
+            return target.end();
+        }
+    };
+}
+
+// Connection pool for the running application
+function createPool(config) {
+    return wrap(mysql.createPool({
+        host: config.host,
+        user: config.user,
+        password: config.password,
+        port: config.port,
+        database: config.database,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    }));
+}
+
+// Single connection without a selected database (for setup and migrations)
+async function createSetupConnection(config) {
+    const connection = await mysql.createConnection({
+        host: config.host,
+        user: config.user,
+        password: config.password,
+        port: config.port
+    });
+    return wrap(connection);
+}
+
+module.exports = {
+    createPool,
+    createSetupConnection,
+    bindLimitParams
+};
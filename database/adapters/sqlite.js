@@ -0,0 +1,331 @@
+// SQLite adapter - embedded database (file or :memory:) exposing the same
+// execute() contract as the MySQL pool. Statements are written in MySQL
+// syntax and translated here, so routes and migrations stay shared. There is
+// no query(): mysql2's client-side formatting and multiple statements have
+// no equivalent here, so shared code uses execute().
+const Database = require('better-sqlite3');
+
+// Column types and clauses that SQLite spells differently
+function translateColumnSyntax(sql) {
+    return sql
+        .replace(/\bINT\s+AUTO_INCREMENT\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+        .replace(/\bAUTO_INCREMENT\b/gi, '')
+        .replace(/(\w+)\s+ENUM\s*\(([^)]*)\)/gi, '$1 TEXT CHECK ($1 IN ($2))')
+        .replace(/\bUNIQUE\s+KEY\s+\w+\s*\(/gi, 'UNIQUE (')
+        .replace(/\)\s*ENGINE\s*=\s*\w+[^;]*$/i, ')');
+}
+
+// Statement-level differences (functions, INSERT IGNORE, DROP INDEX)
+function translateStatement(sql) {
+    return sql
+        .replace(/\bNOW\(\)/gi, 'CURRENT_TIMESTAMP')
+        .replace(/\bINSERT\s+IGNORE\b/gi, 'INSERT OR IGNORE')
+        .replace(/^(\s*DROP\s+INDEX\s+\w+)\s+ON\s+\w+/i, '$1');
+}
+
+// CREATE TABLE needs extra work: ON UPDATE CURRENT_TIMESTAMP becomes a
+// trigger and inline INDEX/KEY definitions become CREATE INDEX statements
+function translateCreateTable(sql) {
+    const tableMatch = sql.match(/CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?`?([\w.]+)`?/i);
+    const table = tableMatch[1].split('.').pop();
+    const after = [];
+    
+    sql = sql.replace(/(\w+)(\s+(?:TIMESTAMP|DATETIME)[^,\n]*?)\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP/gi, (match, column, definition) => {
+        after.push(`
+            CREATE TRIGGER IF NOT EXISTS ${table}_${column}_on_update
+            AFTER UPDATE ON ${table} FOR EACH ROW WHEN NEW.${column} IS OLD.${column}
+            BEGIN
+                UPDATE ${table} SET ${column} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid;
+            END
+        `);
+        return column + definition;
+    });
+    
+    sql = sql.replace(/,\s*(?:INDEX|KEY)\s+(\w+)\s*\(([^)]*)\)/gi, (match, name, columns) => {
+        after.push(`CREATE INDEX IF NOT EXISTS ${name} ON ${table} (${columns})`);
+        return '';
+    });
+    
+    return { sql: translateColumnSyntax(sql), after };
+}
+
+// Translate a MySQL statement, returning the main SQL and any follow-ups
+function translate(sql) {
+    if (/^\s*CREATE\s+TABLE\b/i.test(sql)) {
+        return translateCreateTable(translateStatement(sql));
+    }
+    
+    if (/^\s*ALTER\s+TABLE\b/i.test(sql)) {
+        return { sql: translateColumnSyntax(translateStatement(sql)), after: [] };
+    }
+    
+    return { sql: translateStatement(sql), after: [] };
+}
+
+// ALTER TABLE forms SQLite can't run in place, which rebuild the table:
+// MODIFY COLUMN, ADD CONSTRAINT ... FOREIGN KEY and DROP FOREIGN KEY.
+// Returns { table, transform } where transform edits the list of column
+// and constraint definitions, or null for any other statement.
+function parseRebuild(sql) {
+    let match = sql.match(/^\s*ALTER\s+TABLE\s+`?(\w+)`?\s+MODIFY\s+(?:COLUMN\s+)?`?(\w+)`?\s+([\s\S]+?)\s*$/i);
+    if (match) {
+        const [, table, column, definition] = match;
+        return {
+            table,
+            transform: (definitions) => definitions.map(existing =>
+                definitionName(existing) === column.toLowerCase()
+                    ? translateColumnSyntax(`${column} ${definition}`)
+                    : existing
+            )
+        };
+    }
+    
+    match = sql.match(/^\s*ALTER\s+TABLE\s+`?(\w+)`?\s+ADD\s+(CONSTRAINT\s+\w+\s+FOREIGN\s+KEY\b[\s\S]+?)\s*$/i);
+    if (match) {
+        const [, table, constraint] = match;
+        return { table, transform: (definitions) => [...definitions, constraint] };
+    }
+    
+    match = sql.match(/^\s*ALTER\s+TABLE\s+`?(\w+)`?\s+DROP\s+FOREIGN\s+KEY\s+`?(\w+)`?\s*$/i);
+    if (match) {
+        const [, table, name] = match;
+        return {
+            table,
+            transform: (definitions) => {
+                const names = foreignKeyNames(table, definitions);
+                
+                // The keys that stay are given their generated names outright,
+                // so they keep them once the one before them is gone
+                return definitions
+                    .map((existing, i) => names[i] && !/^CONSTRAINT\b/i.test(existing) ? `CONSTRAINT ${names[i]} ${existing}` : existing)
+                    .filter((existing, i) => !names[i] || names[i].toLowerCase() !== name.toLowerCase());
+            }
+        };
+    }
+    
+    return null;
+}
+
+// Split the body of a CREATE TABLE into its comma-separated definitions,
+// leaving commas inside parentheses or quotes alone
+function splitDefinitions(body) {
+    const definitions = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === "'" || char === '"' || char === '`') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            definitions.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    
+    if (current.trim()) {
+        definitions.push(current.trim());
+    }
+    return definitions;
+}
+
+// Names of a table's foreign keys as MySQL reports them, by definition
+// (null for anything else): the CONSTRAINT name, or <table>_ibfk_<n> for
+// the nth key declared without one, which is the name MySQL generates
+function foreignKeyNames(table, definitions) {
+    let unnamed = 0;
+    
+    return definitions.map(definition => {
+        const named = definition.match(/^CONSTRAINT\s+`?(\w+)`?\s+FOREIGN\s+KEY\b/i);
+        if (named) return named[1];
+        return /^FOREIGN\s+KEY\b/i.test(definition) ? `${table}_ibfk_${++unnamed}` : null;
+    });
+}
+
+// Foreign key names of a table from its CREATE TABLE statement
+function tableForeignKeyNames(table, createSql) {
+    const body = createSql.slice(createSql.indexOf('(') + 1, createSql.lastIndexOf(')'));
+    return foreignKeyNames(table, splitDefinitions(body)).filter(Boolean);
+}
+
+// Column name of a definition (lower case), unquoted
+function definitionName(definition) {
+    return definition.split(/\s+/)[0].replace(/[`"]/g, '').toLowerCase();
+}
+
+// Format a Date the way MySQL stores DATETIME/TIMESTAMP values
+function formatDate(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// SQLite only binds numbers, strings, bigints, buffers and null
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return formatDate(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+// Give constraint errors the codes the routes already check for
+function normalizeError(error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        error.code = 'ER_DUP_ENTRY';
+    } else if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        error.code = 'ER_ROW_IS_REFERENCED_2';
+    }
+    return error;
+}
+
+function createDatabase(config) {
+    const filename = config.filename || ':memory:';
+    const db = new Database(filename);
+    const statements = new Map();
+    
+    db.pragma('foreign_keys = ON');
+    if (filename !== ':memory:') {
+        db.pragma('journal_mode = WAL');
+    }
+    
+    // Recreate a table with edited definitions, keeping its rows, indexes
+    // and triggers (the procedure from https://sqlite.org/lang_altertable.html)
+    function rebuildTable(table, transform) {
+        const existing = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+        
+        if (!existing) {
+            throw new Error(`no such table: ${table}`);
+        }
+        
+        const body = existing.sql.slice(existing.sql.indexOf('(') + 1, existing.sql.lastIndexOf(')'));
+        const definitions = transform(splitDefinitions(body));
+        const dependents = db.prepare(
+            "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL"
+        ).all(table);
+        const rebuilt = `${table}__rebuild`;
+        
+        // Dropping the old table must not cascade to the rows that reference it
+        db.pragma('foreign_keys = OFF');
+        try {
+            db.transaction(() => {
+                db.exec(`CREATE TABLE ${rebuilt} (${definitions.join(', ')})`);
+                db.exec(`INSERT INTO ${rebuilt} SELECT * FROM ${table}`);
+                db.exec(`DROP TABLE ${table}`);
+                db.exec(`ALTER TABLE ${rebuilt} RENAME TO ${table}`);
+                dependents.forEach(dependent => db.exec(dependent.sql));
+                
+                if (db.pragma('foreign_key_check').length > 0) {
+                    throw new Error(`Rebuilding ${table} would break foreign key constraints`);
+                }
+            })();
+        } finally {
+            db.pragma('foreign_keys = ON');
+        }
+        statements.clear();
+    }
+    
+    // Prepared statements are cached by their original SQL text
+    function prepare(sql) {
+        if (statements.has(sql)) {
+            return statements.get(sql);
+        }
+        
+        const translated = translate(sql);
+        const entry = { statement: db.prepare(translated.sql), after: translated.after };
+        
+        // DDL changes the schema, so it isn't worth caching
+        if (entry.after.length === 0 && !/^\s*(CREATE|ALTER|DROP)\b/i.test(sql)) {
+            statements.set(sql, entry);
+        }
+        return entry;
+    }
+    
+    // Results mirror mysql2: [rows, fields] for reads, [ResultSetHeader] for writes
+    async function execute(sql, params = []) {
+        try {
+            const rebuild = parseRebuild(sql);
+            if (rebuild) {
+                rebuildTable(rebuild.table, rebuild.transform);
+                return [{ insertId: 0, affectedRows: 0 }, undefined];
+            }
+            
+            const { statement, after } = prepare(sql);
+            const values = params.map(toSqliteValue);
+            
+            if (statement.reader) {
+                return [statement.all(values), []];
+            }
+            
+            const info = statement.run(values);
+            after.forEach(extra => db.exec(extra));
+            
+            if (/^\s*(CREATE|ALTER|DROP)\b/i.test(sql)) {
+                statements.clear();
+            }
+            
+            return [{
+                insertId: Number(info.lastInsertRowid),
+                affectedRows: info.changes
+            }, undefined];
+            
+        } catch (error) {
+            throw normalizeError(error);
+        }
+    }
+    
+    // Run `work(adapter)` in one transaction, rolling back if it throws.
+    // There is a single connection, so `work` should only wait on the
+    // database: other requests' statements would join the transaction. For
+    // schema changes foreign keys are switched off for the duration, as
+    // SQLite advises, and checked before committing.
+    async function transaction(work, { schemaChange = false } = {}) {
+        if (schemaChange) {
+            db.pragma('foreign_keys = OFF');
+        }
+        db.exec('BEGIN');
+        try {
+            const result = await work(adapter);
+            
+            if (schemaChange && db.pragma('foreign_key_check').length > 0) {
+                throw new Error('Transaction would break foreign key constraints');
+            }
+            
+            db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            if (db.inTransaction) {
+                db.exec('ROLLBACK');
+            }
+            statements.clear();
+            throw error;
+        } finally {
+            if (schemaChange) {
+                db.pragma('foreign_keys = ON');
+            }
+        }
+    }
+    
+    const adapter = {
+        dialect: 'sqlite',
+        filename,
+        execute,
+        transaction,
+        
+        async end() {
+            db.close();
+        }
+    };
+    return adapter;
+}
+
+module.exports = {
+    createDatabase,
+    translate,
+    tableForeignKeyNames
+};
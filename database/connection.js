@@ -1,51 +1,78 @@
 // Database Setup Files/connection.js
-const mysql = require('mysql2/promise');
+// Exposes one database adapter with the execute() contract the routes use.
+// DB_CLIENT selects the backend: "mysql" (default) or "sqlite".
+const path = require('path');
 require('dotenv').config();
 
+const client = (process.env.DB_CLIENT || 'mysql').toLowerCase();
+
 // Debug db connection config
 console.log('Environment variables:');
-console.log('DB_HOST:', process.env.DB_HOST);
-console.log('DB_USER:', process.env.DB_USER);
-console.log('DB_PORT:', process.env.DB_PORT);
-console.log('DB_NAME:', process.env.DB_NAME);
-console.log('DB_PASSWORD exists:', !!process.env.DB_PASSWORD);
+console.log('DB_CLIENT:', client);
+if (client === 'sqlite') {
+    console.log('DB_FILE:', process.env.DB_FILE || ':memory:');
+} else {
+    console.log('DB_HOST:', process.env.DB_HOST);
+    console.log('DB_USER:', process.env.DB_USER);
+    console.log('DB_PORT:', process.env.DB_PORT);
+    console.log('DB_NAME:', process.env.DB_NAME);
+    console.log('DB_PASSWORD exists:', !!process.env.DB_PASSWORD);
+}
 
-// Database connection pool configuration
+// Database connection configuration
 const dbConfig = {
     host: process.env.DB_HOST,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     port: process.env.DB_PORT,
-    database: process.env.DB_NAME,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
+    database: process.env.DB_NAME
 };
 
-// Create connection pool
-const pool = mysql.createPool(dbConfig);
+// Resolve a relative DB_FILE against the project root
+function sqliteFilename() {
+    const file = process.env.DB_FILE || ':memory:';
+    return file === ':memory:' ? file : path.resolve(__dirname, '..', file);
+}
+
+// Create the adapter for the configured backend
+function createAdapter() {
+    if (client === 'sqlite') {
+        return require('./adapters/sqlite').createDatabase({ filename: sqliteFilename() });
+    }
+    if (client === 'mysql') {
+        return require('./adapters/mysql').createPool(dbConfig);
+    }
+    throw new Error(`Unsupported DB_CLIENT "${client}". Use mysql or sqlite`);
+}
+
+const db = createAdapter();
+
+function logConnectionError(error) {
+    console.error('Database connection failed:', error.message);
+    
+    if (error.code === 'ER_ACCESS_DENIED_ERROR') {
+        console.error('Check your database credentials in .env file');
+    } else if (error.code === 'ECONNREFUSED') {
+        console.error('MySQL server is not running. Start XAMPP/MAMP or your MySQL service');
+    } else if (error.code === 'SQLITE_CANTOPEN') {
+        console.error('Check that the DB_FILE directory exists and is writable');
+    }
+}
 
 // Function to get a connection (for setup purposes)
 async function getConnection() {
     try {
-        const setupConfig = {
-            host: process.env.DB_HOST,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            port: process.env.DB_PORT
-        };
-        const connection = await mysql.createConnection(setupConfig);
+        if (client === 'sqlite') {
+            // SQLite has no server-level connection; setup works on the shared
+            // database and must not close it (an in-memory database would be lost)
+            return { ...db, end: async () => {} };
+        }
+        
+        const connection = await require('./adapters/mysql').createSetupConnection(dbConfig);
         console.log('Database connected successfully');
         return connection;
     } catch (error) {
-        console.error('Database connection failed:', error.message);
-        
-        if (error.code === 'ER_ACCESS_DENIED_ERROR') {
-            console.error('Check your database credentials in .env file');
-        } else if (error.code === 'ECONNREFUSED') {
-            console.error('MySQL server is not running. Start XAMPP/MAMP or your MySQL service');
-        }
-        
+        logConnectionError(error);
         throw error;
     }
 }
@@ -53,30 +80,23 @@ async function getConnection() {
 // Test connection function
 async function testConnection() {
     try {
-        const connection = await mysql.createConnection({
-            host: process.env.DB_HOST,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
-            port: process.env.DB_PORT
-        });
+        if (client === 'sqlite') {
+            await db.execute('SELECT 1');
+        } else {
+            const connection = await require('./adapters/mysql').createSetupConnection(dbConfig);
+            await connection.end();
+        }
         
-        await connection.end();
         console.log('Database connected successfully');
         return true;
     } catch (error) {
-        console.error('Database connection failed:', error.message);
-        
-        if (error.code === 'ER_ACCESS_DENIED_ERROR') {
-            console.error('Check your database credentials in .env file');
-        } else if (error.code === 'ECONNREFUSED') {
-            console.error('MySQL server is not running. Start XAMPP/MAMP or your MySQL service');
-        }
-        
+        logConnectionError(error);
         throw error;
     }
 }
 
-// Export the pool as default and also named exports for setup
-module.exports = pool;
+// Export the adapter as default and also named exports for setup
+module.exports = db;
+module.exports.client = client;
 module.exports.getConnection = getConnection;
-module.exports.testConnection = testConnection;
\ No newline at end of file
+module.exports.testConnection = testConnection;
@@ -1,5 +1,10 @@
 // Create database if it doesn't exist
 async function createDatabase(db) {
+    // SQLite keeps everything in one file; its schema is always "main"
+    if (db.dialect === 'sqlite') {
+        return 'main';
+    }
+    
     const targetDb = process.env.DB_NAME;
     
     try {
@@ -14,4 +19,11 @@ async function createDatabase(db) {
     }
 }
 
-module.exports = { createDatabase };
\ No newline at end of file
+// Make the created database the default for unqualified table names
+async function selectDatabase(db, targetDb) {
+    if (db.dialect !== 'sqlite') {
+        await db.query(`USE \`${targetDb}\``);
+    }
+}
+
+module.exports = { createDatabase, selectDatabase };
@@ -1,5 +1,6 @@
 // database-init.js - Initialize database before starting the app
 const { setupDatabase } = require('./setup.js');
+const { runCommand } = require('./migrate.js');
 
 // Initialize database and start app
 async function initializeApp() {
@@ -35,9 +36,20 @@ async function initializeApp() {
 
 // Run only if this file is executed directly
 if (require.main === module) {
-    console.log('Project Manager - Database Initialization');
-    console.log('==========================================\n');
-    initializeApp();
+    const [command, ...args] = process.argv.slice(2);
+    
+    if (command === 'migrate') {
+        // node database-init.js migrate up|down|status [steps]
+        const steps = args[1] ? parseInt(args[1], 10) : undefined;
+        runCommand(args[0] || 'status', steps).catch((error) => {
+            console.error('Migration failed:', error.message);
+            process.exit(1);
+        });
+    } else {
+        console.log('Project Manager - Database Initialization');
+        console.log('==========================================\n');
+        initializeApp();
+    }
 } else {
     module.exports = { initializeApp };
 }
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Assign a role from the command line
+// Used to bootstrap the first administrator: node database/grant-role.js <username> <role>
+const { getConnection } = require('./connection');
+const { createDatabase, selectDatabase } = require('./createDatabase');
+const { ROLES } = require('../middleware/auth');
+
+async function grantRole(username, role) {
+    if (!username || !ROLES.includes(role)) {
+        throw new Error(`Usage: node database/grant-role.js <username> <${ROLES.join('|')}>`);
+    }
+    
+    let db;
+    
+    try {
+        db = await getConnection();
+        await selectDatabase(db, await createDatabase(db));
+        
+        const [result] = await db.execute('UPDATE users SET role = ? WHERE username = ?', [role, username]);
+        
+        if (result.affectedRows === 0) {
+            throw new Error(`User "${username}" not found`);
+        }
+        
+        console.log(`${username} is now ${role}`);
+        
+    } finally {
+        if (db) {
+            await db.end();
+        }
+    }
+}
+
+if (require.main === module) {
+    const [username, role] = process.argv.slice(2);
+    
+    grantRole(username, role).catch((err) => {
+        console.error('Grant role failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { grantRole };
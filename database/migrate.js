@@ -0,0 +1,208 @@
+// Versioned schema migrations
+// Each file in ./migrations is named NNN_description.js and exports async
+// up(db) and down(db) functions. Applied versions are recorded in the
+// schema_migrations table so every database only runs what it is missing.
+//
+// On SQLite each migration and its schema_migrations row are applied in one
+// transaction, so a failed migration leaves nothing behind. MySQL commits
+// DDL statements as they run, so a migration that fails there can be left
+// half applied: write migrations so they can be run again over their own
+// partial work, with CREATE TABLE IF NOT EXISTS, DROP TABLE IF EXISTS,
+// INSERT IGNORE for seed rows and the existence-checking helpers in
+// schema.js for columns, constraints and indexes.
+const fs = require('fs');
+const path = require('path');
+const { getConnection } = require('./connection');
+const { createDatabase, selectDatabase } = require('./createDatabase');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Create the bookkeeping table if it doesn't exist
+async function ensureMigrationsTable(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Read migration files from disk, ordered by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+            
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            
+            return { version: match[1], name: match[2], file, ...migration };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Run one migration step in a transaction on SQLite; MySQL would commit
+// the DDL as it goes anyway
+async function inTransaction(db, work) {
+    return db.dialect === 'sqlite' ? db.transaction(work, { schemaChange: true }) : work();
+}
+
+// Versions already applied to this database, oldest first
+async function getAppliedVersions(db) {
+    const [rows] = await db.execute(
+        'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return rows;
+}
+
+// Apply pending migrations (all of them, or only the next `steps`)
+async function migrateUp(db, { steps } = {}) {
+    await ensureMigrationsTable(db);
+    
+    const applied = new Set((await getAppliedVersions(db)).map(row => row.version));
+    let pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    
+    if (steps) {
+        pending = pending.slice(0, steps);
+    }
+    
+    if (pending.length === 0) {
+        console.log('Schema is up to date');
+        return [];
+    }
+    
+    for (const migration of pending) {
+        try {
+            await inTransaction(db, async () => {
+                await migration.up(db);
+                await db.execute(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`Applied ${migration.file}`);
+        } catch (err) {
+            console.error(`Migration ${migration.file} failed:`, err.message);
+            throw err;
+        }
+    }
+    
+    return pending;
+}
+
+// Revert the most recently applied migrations (one by default)
+async function migrateDown(db, { steps = 1 } = {}) {
+    await ensureMigrationsTable(db);
+    
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const toRevert = (await getAppliedVersions(db)).reverse().slice(0, steps);
+    
+    if (toRevert.length === 0) {
+        console.log('No migrations to revert');
+        return [];
+    }
+    
+    const reverted = [];
+    
+    for (const row of toRevert) {
+        const migration = migrations.get(row.version);
+        
+        if (!migration) {
+            throw new Error(`Cannot revert ${row.version}_${row.name}: migration file is missing`);
+        }
+        
+        try {
+            await inTransaction(db, async () => {
+                await migration.down(db);
+                await db.execute('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+            });
+            console.log(`Reverted ${migration.file}`);
+            reverted.push(migration);
+        } catch (err) {
+            console.error(`Reverting ${migration.file} failed:`, err.message);
+            throw err;
+        }
+    }
+    
+    return reverted;
+}
+
+// Applied/pending state of every known migration
+async function migrationStatus(db) {
+    await ensureMigrationsTable(db);
+    
+    const applied = new Map((await getAppliedVersions(db)).map(row => [row.version, row]));
+    const status = loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+    
+    // Versions recorded in the database whose files no longer exist
+    for (const [version, row] of applied) {
+        if (!status.some(migration => migration.version === version)) {
+            status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+        }
+    }
+    
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Connect and select the application database, creating it if needed
+async function openDatabase() {
+    const db = await getConnection();
+    const targetDb = await createDatabase(db);
+    await selectDatabase(db, targetDb);
+    return db;
+}
+
+// Command line entry point: node database/migrate.js up|down|status [steps]
+async function runCommand(command, steps) {
+    let db;
+    
+    try {
+        db = await openDatabase();
+        
+        if (command === 'up') {
+            await migrateUp(db, { steps });
+        } else if (command === 'down') {
+            await migrateDown(db, { steps: steps || 1 });
+        } else if (command === 'status') {
+            const status = await migrationStatus(db);
+            status.forEach(migration => {
+                const state = migration.missing ? 'MISSING' : migration.applied ? 'applied' : 'pending';
+                console.log(`${migration.version}_${migration.name}  ${state}`);
+            });
+        } else {
+            throw new Error(`Unknown migrate command "${command}". Use up, down or status`);
+        }
+        
+    } finally {
+        if (db) {
+            await db.end();
+        }
+    }
+}
+
+if (require.main === module) {
+    const [command = 'status', steps] = process.argv.slice(2);
+    
+    runCommand(command, steps ? parseInt(steps, 10) : undefined).catch((err) => {
+        console.error('Migration failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    migrateUp,
+    migrateDown,
+    migrationStatus,
+    runCommand
+};
@@ -0,0 +1,20 @@
+// Users table
+// Uses IF NOT EXISTS so databases created by the old createTables.js can be
+// brought under migration control without losing data.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS users (
+            uid INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            email VARCHAR(100) UNIQUE NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Projects table
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS projects (
+            pid INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(100) NOT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE,
+            short_description TEXT NOT NULL,
+            phase ENUM('design', 'development', 'testing', 'deployment', 'complete') NOT NULL DEFAULT 'design',
+            uid INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS projects');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Password reset tokens
+// Only a SHA-256 hash of each token is stored; the plain token exists
+// solely in the emailed link.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS password_resets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uid INT NOT NULL,
+            token_hash CHAR(64) UNIQUE NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS password_resets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// Email verification timestamp (NULL until the address is confirmed)
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'users', 'email_verified_at', 'DATETIME NULL');
+}
+
+async function down(db) {
+    await dropColumn(db, 'users', 'email_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// TOTP two-factor authentication
+// users.totp_secret is only set once enrollment has been confirmed with a
+// valid code; totp_last_step stops a code from being used twice.
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'users', 'totp_secret', 'VARCHAR(64) NULL');
+    await addColumn(db, 'users', 'totp_enabled_at', 'DATETIME NULL');
+    await addColumn(db, 'users', 'totp_last_step', 'BIGINT NULL');
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uid INT NOT NULL,
+            code_hash CHAR(64) NOT NULL,
+            used_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS totp_recovery_codes');
+    await dropColumn(db, 'users', 'totp_last_step');
+    await dropColumn(db, 'users', 'totp_enabled_at');
+    await dropColumn(db, 'users', 'totp_secret');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// User roles for access control
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'users', 'role', "ENUM('user', 'moderator', 'admin') NOT NULL DEFAULT 'user'");
+}
+
+async function down(db) {
+    await dropColumn(db, 'users', 'role');
+}
+
+module.exports = { up, down };
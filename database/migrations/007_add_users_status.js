@@ -0,0 +1,16 @@
+// Account status and suspensions
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'users', 'status', "ENUM('active', 'suspended', 'deactivated') NOT NULL DEFAULT 'active'");
+    await addColumn(db, 'users', 'suspension_reason', 'VARCHAR(500) NULL');
+    await addColumn(db, 'users', 'suspended_until', 'DATETIME NULL');
+}
+
+async function down(db) {
+    await dropColumn(db, 'users', 'suspended_until');
+    await dropColumn(db, 'users', 'suspension_reason');
+    await dropColumn(db, 'users', 'status');
+}
+
+module.exports = { up, down };
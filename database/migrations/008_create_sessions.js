@@ -0,0 +1,27 @@
+// Persistent login sessions
+// Rows are written by database/sessionStore.js. uid, user_agent and
+// ip_address are copied out of the session data so a user's sessions can be
+// listed and revoked.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            sid VARCHAR(128) PRIMARY KEY,
+            uid INT NULL,
+            data TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            user_agent VARCHAR(255) NULL,
+            ip_address VARCHAR(45) NULL,
+            last_activity DATETIME NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE,
+            INDEX idx_sessions_uid (uid),
+            INDEX idx_sessions_expires_at (expires_at)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS sessions');
+}
+
+module.exports = { up, down };
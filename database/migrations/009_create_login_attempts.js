@@ -0,0 +1,26 @@
+// Failed login tracking and account lockout
+// login_attempts holds recent failures per username and IP address;
+// users.locked_until is set once an account crosses the lockout threshold.
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(255) NOT NULL,
+            ip_address VARCHAR(45) NOT NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_login_attempts_username (username, created_at),
+            INDEX idx_login_attempts_ip (ip_address, created_at)
+        )
+    `);
+    
+    await addColumn(db, 'users', 'locked_until', 'DATETIME NULL');
+}
+
+async function down(db) {
+    await dropColumn(db, 'users', 'locked_until');
+    await db.execute('DROP TABLE IF EXISTS login_attempts');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Personal API tokens
+// Only the SHA-256 hash of a token is stored; token_prefix keeps the first
+// characters so users can tell their tokens apart.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uid INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            token_prefix VARCHAR(16) NOT NULL,
+            scopes VARCHAR(255) NOT NULL,
+            expires_at DATETIME NULL,
+            last_used_at DATETIME NULL,
+            revoked_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS api_tokens');
+}
+
+module.exports = { up, down };
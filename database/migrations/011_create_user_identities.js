@@ -0,0 +1,23 @@
+// External identities (OpenID Connect) linked to local accounts
+// An identity is keyed by the issuer and its stable subject identifier.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS user_identities (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uid INT NOT NULL,
+            issuer VARCHAR(255) NOT NULL,
+            subject VARCHAR(255) NOT NULL,
+            email VARCHAR(100) NULL,
+            last_login_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_user_identities_subject (issuer, subject),
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS user_identities');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Security audit log
+// actor_username is copied at write time so events stay readable after an
+// account is renamed or deleted (actor_uid is then cleared).
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            actor_uid INT NULL,
+            actor_username VARCHAR(50) NULL,
+            action VARCHAR(64) NOT NULL,
+            target_type VARCHAR(32) NULL,
+            target_id VARCHAR(64) NULL,
+            outcome ENUM('success', 'failure', 'denied') NOT NULL DEFAULT 'success',
+            ip_address VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            details TEXT NULL,
+            created_at DATETIME NOT NULL,
+            FOREIGN KEY (actor_uid) REFERENCES users(uid) ON DELETE SET NULL,
+            INDEX idx_audit_events_actor (actor_uid, created_at),
+            INDEX idx_audit_events_action (action, created_at),
+            INDEX idx_audit_events_created_at (created_at)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS audit_events');
+}
+
+module.exports = { up, down };
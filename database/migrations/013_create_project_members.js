@@ -0,0 +1,26 @@
+// Project collaborators
+// The creator in projects.uid is always an owner; this table holds the
+// other members and their role on the project.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_members (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            uid INT NOT NULL,
+            role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+            added_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE,
+            FOREIGN KEY (added_by) REFERENCES users(uid) ON DELETE SET NULL,
+            UNIQUE KEY uq_project_members_member (pid, uid),
+            INDEX idx_project_members_uid (uid)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_members');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Tasks and milestones within a project
+// A task may belong to one of its project's milestones; removing the
+// milestone keeps the task. completed_at is set when a task moves to done.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS milestones (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            title VARCHAR(100) NOT NULL,
+            due_date DATE NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            INDEX idx_milestones_pid (pid)
+        )
+    `);
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tasks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            milestone_id INT NULL,
+            title VARCHAR(200) NOT NULL,
+            assignee_uid INT NULL,
+            due_date DATE NULL,
+            status ENUM('todo', 'in_progress', 'done') NOT NULL DEFAULT 'todo',
+            priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'medium',
+            created_by INT NULL,
+            completed_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (milestone_id) REFERENCES milestones(id) ON DELETE SET NULL,
+            FOREIGN KEY (assignee_uid) REFERENCES users(uid) ON DELETE SET NULL,
+            FOREIGN KEY (created_by) REFERENCES users(uid) ON DELETE SET NULL,
+            INDEX idx_tasks_pid_status (pid, status),
+            INDEX idx_tasks_assignee (assignee_uid)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS tasks');
+    await db.execute('DROP TABLE IF EXISTS milestones');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Comments on project detail pages
+// Comments are threaded one level deep: a reply's parent_id points at a
+// top-level comment, and deleting that comment removes its replies.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_comments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            uid INT NOT NULL,
+            parent_id INT NULL,
+            body TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            edited_at DATETIME NULL,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE,
+            FOREIGN KEY (parent_id) REFERENCES project_comments(id) ON DELETE CASCADE,
+            INDEX idx_project_comments_thread (pid, parent_id),
+            INDEX idx_project_comments_parent (parent_id)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_comments');
+}
+
+module.exports = { up, down };
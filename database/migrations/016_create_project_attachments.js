@@ -0,0 +1,28 @@
+// Files attached to projects
+// The file contents live in the storage backend (services/storage) under
+// storage_key; size_bytes counts towards the uploader's storage quota.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_attachments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            uploaded_by INT NULL,
+            original_name VARCHAR(255) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            mime_type VARCHAR(100) NOT NULL,
+            size_bytes BIGINT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (uploaded_by) REFERENCES users(uid) ON DELETE SET NULL,
+            UNIQUE KEY uq_project_attachments_key (storage_key),
+            INDEX idx_project_attachments_pid (pid),
+            INDEX idx_project_attachments_uploader (uploaded_by)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_attachments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Free-form project tags
+// tags holds each distinct (normalised) tag once; project_tags links them
+// to projects.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS tags (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(30) UNIQUE NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_tags (
+            pid INT NOT NULL,
+            tag_id INT NOT NULL,
+            PRIMARY KEY (pid, tag_id),
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+            INDEX idx_project_tags_tag (tag_id)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_tags');
+    await db.execute('DROP TABLE IF EXISTS tags');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,87 @@
+// Phase workflows
+// A workflow is an ordered list of phases, each with a display name and
+// color. When a workflow has transitions, projects may only move between
+// the phases they connect; without any, every move is allowed. Projects
+// keep the slug of their current phase and reference their workflow.
+const { addColumn, dropColumn, addConstraint, dropForeignKey } = require('../schema');
+
+const STANDARD_PHASES = [
+    ['design', 'Design', '#1e88e5'],
+    ['development', 'Development', '#fb8c00'],
+    ['testing', 'Testing', '#8e24aa'],
+    ['deployment', 'Deployment', '#43a047'],
+    ['complete', 'Complete', '#00695c']
+];
+
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS workflows (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_workflows_name (name)
+        )
+    `);
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS workflow_phases (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            workflow_id INT NOT NULL,
+            slug VARCHAR(30) NOT NULL,
+            name VARCHAR(50) NOT NULL,
+            color CHAR(7) NOT NULL DEFAULT '#6c757d',
+            position INT NOT NULL,
+            FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+            UNIQUE KEY uq_workflow_phases_slug (workflow_id, slug)
+        )
+    `);
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS workflow_transitions (
+            from_phase_id INT NOT NULL,
+            to_phase_id INT NOT NULL,
+            PRIMARY KEY (from_phase_id, to_phase_id),
+            FOREIGN KEY (from_phase_id) REFERENCES workflow_phases(id) ON DELETE CASCADE,
+            FOREIGN KEY (to_phase_id) REFERENCES workflow_phases(id) ON DELETE CASCADE,
+            INDEX idx_workflow_transitions_to (to_phase_id)
+        )
+    `);
+    
+    // The phases projects have always had, with no restrictions on moving
+    // between them (kept if an earlier, failed run already added them)
+    await db.execute('INSERT IGNORE INTO workflows (name, is_default) VALUES (?, ?)', ['Standard', true]);
+    const [[workflow]] = await db.execute('SELECT id FROM workflows WHERE name = ?', ['Standard']);
+    
+    for (const [position, [slug, name, color]] of STANDARD_PHASES.entries()) {
+        await db.execute(
+            'INSERT IGNORE INTO workflow_phases (workflow_id, slug, name, color, position) VALUES (?, ?, ?, ?, ?)',
+            [workflow.id, slug, name, color, position]
+        );
+    }
+    
+    await addColumn(db, 'projects', 'workflow_id', 'INT NULL');
+    await addConstraint(db, 'projects', 'fk_projects_workflow', 'FOREIGN KEY (workflow_id) REFERENCES workflows(id)');
+    await db.execute('UPDATE projects SET workflow_id = ?', [workflow.id]);
+    await db.execute('ALTER TABLE projects MODIFY COLUMN phase VARCHAR(30) NOT NULL');
+}
+
+async function down(db) {
+    const slugs = STANDARD_PHASES.map(([slug]) => slug);
+    
+    // Phases from other workflows have no place in the ENUM
+    await db.execute(
+        `UPDATE projects SET phase = 'design' WHERE phase NOT IN (${slugs.map(() => '?').join(', ')})`,
+        slugs
+    );
+    await db.execute(
+        `ALTER TABLE projects MODIFY COLUMN phase ENUM(${slugs.map(slug => `'${slug}'`).join(', ')}) NOT NULL DEFAULT 'design'`
+    );
+    await dropForeignKey(db, 'projects', 'fk_projects_workflow');
+    await dropColumn(db, 'projects', 'workflow_id');
+    await db.execute('DROP TABLE IF EXISTS workflow_transitions');
+    await db.execute('DROP TABLE IF EXISTS workflow_phases');
+    await db.execute('DROP TABLE IF EXISTS workflows');
+}
+
+module.exports = { up, down };
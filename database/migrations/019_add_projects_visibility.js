@@ -0,0 +1,13 @@
+// Project visibility: public projects are listed everywhere, unlisted ones
+// only open by link and private ones only for their members
+const { addColumn, dropColumn } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'projects', 'visibility', "ENUM('public', 'unlisted', 'private') NOT NULL DEFAULT 'public'");
+}
+
+async function down(db) {
+    await dropColumn(db, 'projects', 'visibility');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Project trash: deleted projects keep their row, marked with when and by
+// whom they were deleted, until they are restored or purged
+const { addColumn, dropColumn, addConstraint, dropForeignKey, createIndex, dropIndex } = require('../schema');
+
+async function up(db) {
+    await addColumn(db, 'projects', 'deleted_at', 'DATETIME NULL');
+    await addColumn(db, 'projects', 'deleted_by', 'INT NULL');
+    await addConstraint(
+        db,
+        'projects',
+        'fk_projects_deleted_by',
+        'FOREIGN KEY (deleted_by) REFERENCES users(uid) ON DELETE SET NULL'
+    );
+    await createIndex(db, 'projects', 'idx_projects_deleted_at', 'deleted_at');
+}
+
+async function down(db) {
+    await dropIndex(db, 'projects', 'idx_projects_deleted_at');
+    await dropForeignKey(db, 'projects', 'fk_projects_deleted_by');
+    await dropColumn(db, 'projects', 'deleted_by');
+    await dropColumn(db, 'projects', 'deleted_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Project edit history
+// Each create, update and revert of a project adds a revision holding the
+// fields it changed as JSON ({ field: { from, to } }). reverted_from points
+// at the revision a revert went back to.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_revisions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            uid INT NULL,
+            action ENUM('created', 'updated', 'reverted') NOT NULL,
+            changes TEXT NOT NULL,
+            reverted_from INT NULL,
+            created_at DATETIME NOT NULL,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE SET NULL,
+            FOREIGN KEY (reverted_from) REFERENCES project_revisions(id) ON DELETE SET NULL,
+            INDEX idx_project_revisions_pid (pid, id)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_revisions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Phase transitions
+// One row each time a project enters a phase: from_phase is NULL when the
+// project was created in to_phase. Projects that existed before this log
+// have no entry for the phase they're in until they next move.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS phase_transitions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pid INT NOT NULL,
+            from_phase VARCHAR(30) NULL,
+            to_phase VARCHAR(30) NOT NULL,
+            uid INT NULL,
+            changed_at DATETIME NOT NULL,
+            FOREIGN KEY (pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE SET NULL,
+            INDEX idx_phase_transitions_pid (pid, changed_at)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS phase_transitions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Project templates
+// A user's saved starting points for new projects. Dates are kept relative
+// to the new project's start: duration_days sets its end date and each
+// template task's due_offset_days its due date. tags is a comma-separated
+// list, as entered on the project form.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_templates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            uid INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            title_pattern VARCHAR(100) NOT NULL,
+            short_description TEXT NOT NULL,
+            workflow_id INT NULL,
+            phase VARCHAR(30) NULL,
+            duration_days INT NULL,
+            tags VARCHAR(400) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE,
+            FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE SET NULL,
+            UNIQUE KEY uq_project_templates_name (uid, name)
+        )
+    `);
+    
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_template_tasks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            template_id INT NOT NULL,
+            title VARCHAR(200) NOT NULL,
+            priority ENUM('low', 'medium', 'high') NOT NULL DEFAULT 'medium',
+            due_offset_days INT NULL,
+            position INT NOT NULL,
+            FOREIGN KEY (template_id) REFERENCES project_templates(id) ON DELETE CASCADE,
+            INDEX idx_project_template_tasks_template (template_id, position)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_template_tasks');
+    await db.execute('DROP TABLE IF EXISTS project_templates');
+}
+
+module.exports = { up, down };
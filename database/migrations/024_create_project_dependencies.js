@@ -0,0 +1,24 @@
+// Project dependencies
+// A row means blocker_pid has to be finished before blocked_pid can be.
+// The application keeps the graph free of cycles.
+async function up(db) {
+    await db.execute(`
+        CREATE TABLE IF NOT EXISTS project_dependencies (
+            blocker_pid INT NOT NULL,
+            blocked_pid INT NOT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (blocker_pid, blocked_pid),
+            FOREIGN KEY (blocker_pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (blocked_pid) REFERENCES projects(pid) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(uid) ON DELETE SET NULL,
+            INDEX idx_project_dependencies_blocked (blocked_pid)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.execute('DROP TABLE IF EXISTS project_dependencies');
+}
+
+module.exports = { up, down };
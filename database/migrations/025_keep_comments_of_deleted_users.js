@@ -0,0 +1,24 @@
+// Comments outlive their author's account: uid becomes NULL and the comment
+// shows as from a deleted user, so deleting an account doesn't take other
+// people's replies with it. 015 declared the foreign key without a name, so
+// it has the one MySQL generated.
+const { addConstraint, dropForeignKey } = require('../schema');
+
+async function up(db) {
+    await dropForeignKey(db, 'project_comments', 'project_comments_ibfk_2');
+    await db.execute('ALTER TABLE project_comments MODIFY COLUMN uid INT NULL');
+    await addConstraint(db, 'project_comments', 'fk_project_comments_user',
+        'FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE SET NULL');
+}
+
+async function down(db) {
+    await dropForeignKey(db, 'project_comments', 'fk_project_comments_user');
+    
+    // Comments left by deleted users can't be kept once uid is required
+    await db.execute('DELETE FROM project_comments WHERE uid IS NULL');
+    await db.execute('ALTER TABLE project_comments MODIFY COLUMN uid INT NOT NULL');
+    await addConstraint(db, 'project_comments', 'project_comments_ibfk_2',
+        'FOREIGN KEY (uid) REFERENCES users(uid) ON DELETE CASCADE');
+}
+
+module.exports = { up, down };
@@ -22,11 +22,12 @@ async function addSampleData(db, dbName) {
         const hashedPassword = await bcrypt.hash(plainPassword, 10);
         
         const [userResult] = await db.execute(
-            `INSERT INTO ${dbName}.users (username, password, email) VALUES (?, ?, ?)`,
-            ['testuser', hashedPassword, 'test@example.com']
+            `INSERT INTO ${dbName}.users (username, password, email, email_verified_at) VALUES (?, ?, ?, ?)`,
+            ['testuser', hashedPassword, 'test@example.com', new Date()]
         );
         
-        // Sample projects
+        // Sample projects, in the default workflow's phases
+        const [workflows] = await db.execute(`SELECT id FROM ${dbName}.workflows WHERE is_default = TRUE`);
         const projects = [
             ['E-commerce Site', '2024-02-01', 'Online shopping platform with payment integration', 'development'],
             ['Task Manager App', '2024-01-15', 'Mobile app for personal task management', 'testing'],
@@ -35,8 +36,8 @@ async function addSampleData(db, dbName) {
         
         for (let project of projects) {
             await db.execute(
-                `INSERT INTO ${dbName}.projects (title, start_date, short_description, phase, uid) VALUES (?, ?, ?, ?, ?)`,
-                [...project, userResult.insertId]
+                `INSERT INTO ${dbName}.projects (title, start_date, short_description, phase, workflow_id, uid) VALUES (?, ?, ?, ?, ?, ?)`,
+                [...project, workflows[0].id, userResult.insertId]
             );
         }
         
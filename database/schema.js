@@ -0,0 +1,92 @@
+// Schema helpers for migrations
+// MySQL commits each DDL statement as it runs, so a migration that fails
+// partway is left half applied. These helpers skip a change that is already
+// in place, so running the migration again picks up where it stopped.
+const { tableForeignKeyNames } = require('./adapters/sqlite');
+
+async function hasRows(db, sql, params) {
+    const [rows] = await db.execute(sql, params);
+    return rows.length > 0;
+}
+
+async function columnExists(db, table, column) {
+    if (db.dialect === 'sqlite') {
+        return hasRows(db, 'SELECT name FROM pragma_table_info(?) WHERE name = ?', [table, column]);
+    }
+    return hasRows(db, `
+        SELECT COLUMN_NAME FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+}
+
+// Foreign keys by name: the one given with ADD CONSTRAINT, or the one
+// MySQL generated for a key declared without a name
+async function constraintExists(db, table, name) {
+    if (db.dialect === 'sqlite') {
+        const [rows] = await db.execute("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+        return rows.length > 0 && tableForeignKeyNames(table, rows[0].sql).includes(name);
+    }
+    return hasRows(db, `
+        SELECT CONSTRAINT_NAME FROM information_schema.TABLE_CONSTRAINTS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ?
+    `, [table, name]);
+}
+
+async function indexExists(db, table, name) {
+    if (db.dialect === 'sqlite') {
+        return hasRows(db, "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?", [table, name]);
+    }
+    return hasRows(db, `
+        SELECT INDEX_NAME FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    `, [table, name]);
+}
+
+async function addColumn(db, table, column, definition) {
+    if (!(await columnExists(db, table, column))) {
+        await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+async function dropColumn(db, table, column) {
+    if (await columnExists(db, table, column)) {
+        await db.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+}
+
+// `definition` is the rest of the constraint: FOREIGN KEY (...) REFERENCES ...
+async function addConstraint(db, table, name, definition) {
+    if (!(await constraintExists(db, table, name))) {
+        await db.execute(`ALTER TABLE ${table} ADD CONSTRAINT ${name} ${definition}`);
+    }
+}
+
+async function dropForeignKey(db, table, name) {
+    if (await constraintExists(db, table, name)) {
+        await db.execute(`ALTER TABLE ${table} DROP FOREIGN KEY ${name}`);
+    }
+}
+
+async function createIndex(db, table, name, columns) {
+    if (!(await indexExists(db, table, name))) {
+        await db.execute(`CREATE INDEX ${name} ON ${table} (${columns})`);
+    }
+}
+
+async function dropIndex(db, table, name) {
+    if (await indexExists(db, table, name)) {
+        await db.execute(`DROP INDEX ${name} ON ${table}`);
+    }
+}
+
+module.exports = {
+    columnExists,
+    constraintExists,
+    indexExists,
+    addColumn,
+    dropColumn,
+    addConstraint,
+    dropForeignKey,
+    createIndex,
+    dropIndex
+};
@@ -0,0 +1,114 @@
+// express-session store backed by the sessions table
+// Works with any database adapter (MySQL or SQLite), so sessions survive
+// restarts and can be shared between processes. Expired rows are removed
+// periodically.
+//
+// A session is only inserted when it's new. Sessions read from the table are
+// marked `persisted`, and if such a session's row is gone by the time it is
+// saved, it was destroyed or revoked meanwhile and stays gone.
+const session = require('express-session');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // used when the cookie has no expiry
+const DEFAULT_CLEANUP_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+class DatabaseSessionStore extends session.Store {
+    constructor(options = {}) {
+        super();
+        this.db = options.db;
+        
+        const cleanupInterval = options.cleanupIntervalMs ?? DEFAULT_CLEANUP_INTERVAL_MS;
+        if (cleanupInterval > 0) {
+            this.cleanupTimer = setInterval(() => {
+                this.clearExpired().catch(err => console.error('Session cleanup error:', err));
+            }, cleanupInterval);
+            // Don't keep the process alive just for cleanup
+            this.cleanupTimer.unref();
+        }
+    }
+    
+    expiresAt(sess) {
+        if (sess && sess.cookie && sess.cookie.expires) {
+            return new Date(sess.cookie.expires);
+        }
+        return new Date(Date.now() + DEFAULT_TTL_MS);
+    }
+    
+    get(sid, callback) {
+        this.db.execute('SELECT data FROM sessions WHERE sid = ? AND expires_at > ?', [sid, new Date()])
+            .then(([rows]) => callback(null, rows.length ? JSON.parse(rows[0].data) : null))
+            .catch(callback);
+    }
+    
+    set(sid, sess, callback) {
+        this.save(sid, sess)
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+    
+    async save(sid, sess) {
+        const now = new Date();
+        const client = sess.client || {};
+        const values = [
+            sess.user ? sess.user.uid : null,
+            JSON.stringify({ ...sess, persisted: true }),
+            this.expiresAt(sess),
+            client.userAgent ? client.userAgent.slice(0, 255) : null,
+            client.ip || null,
+            now
+        ];
+        
+        const [result] = await this.db.execute(`
+            UPDATE sessions
+            SET uid = ?, data = ?, expires_at = ?, user_agent = ?, ip_address = ?, last_activity = ?
+            WHERE sid = ?
+        `, [...values, sid]);
+        
+        // Saved before but deleted since (signed out, revoked, suspended)
+        if (result.affectedRows > 0 || sess.persisted) return;
+        
+        try {
+            await this.db.execute(`
+                INSERT INTO sessions (uid, data, expires_at, user_agent, ip_address, last_activity, sid)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [...values, sid]);
+        } catch (error) {
+            // Another request created the row first
+            if (error.code !== 'ER_DUP_ENTRY') throw error;
+        }
+    }
+    
+    // Called on requests that didn't modify the session
+    touch(sid, sess, callback) {
+        this.db.execute(
+            'UPDATE sessions SET expires_at = ?, last_activity = ? WHERE sid = ?',
+            [this.expiresAt(sess), new Date(), sid]
+        )
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+    
+    destroy(sid, callback) {
+        this.db.execute('DELETE FROM sessions WHERE sid = ?', [sid])
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+    
+    length(callback) {
+        this.db.execute('SELECT COUNT(*) as total FROM sessions WHERE expires_at > ?', [new Date()])
+            .then(([rows]) => callback(null, Number(rows[0].total)))
+            .catch(callback);
+    }
+    
+    clear(callback) {
+        this.db.execute('DELETE FROM sessions')
+            .then(() => callback && callback())
+            .catch(err => callback && callback(err));
+    }
+    
+    async clearExpired() {
+        const [result] = await this.db.execute('DELETE FROM sessions WHERE expires_at <= ?', [new Date()]);
+        return result.affectedRows;
+    }
+}
+
+module.exports = { DatabaseSessionStore };
@@ -1,6 +1,6 @@
 const { getConnection } = require('./connection');
-const { createDatabase } = require('./createDatabase');
-const { createTables } = require('./createTables');
+const { createDatabase, selectDatabase } = require('./createDatabase');
+const { migrateUp } = require('./migrate');
 const { addSampleData } = require('./sampleData');
 
 //Main database setup function
@@ -18,8 +18,9 @@ async function setupDatabase() {
         const activeDatabase = await createDatabase(db);
         console.log(`Database '${activeDatabase}' ready`);
         
-        //Create tables
-        await createTables(db, activeDatabase);
+        //Apply pending schema migrations
+        await selectDatabase(db, activeDatabase);
+        await migrateUp(db);
         
         //Add test data
         await addSampleData(db, activeDatabase);
@@ -35,6 +36,9 @@ async function setupDatabase() {
             console.error('Start MySQL server (XAMPP/MAMP)');
         }
         
+        //Don't let the app start against a half-migrated schema
+        throw err;
+        
     } finally {
         if (db) {
             await db.end();
@@ -45,7 +49,7 @@ async function setupDatabase() {
 
 //Run setup if this file is executed directly
 if (require.main === module) {
-    setupDatabase();
+    setupDatabase().catch(() => process.exit(1));
 }
 
 module.exports = { setupDatabase };
\ No newline at end of file
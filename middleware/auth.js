@@ -2,6 +2,20 @@
  * Authentication Middleware
  * Handles user authentication, authorization, and session management
  */
+const { loadAccountStatus, accountStatusMessage } = require('../services/accountStatus');
+const { recordSessionClient } = require('../services/sessions');
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require('../services/loginThrottle');
+const { authenticateApiToken } = require('../services/apiTokens');
+const { recordAuditEvent } = require('../services/audit');
+const { getProjectRole } = require('../services/projectMembers');
+
+// Roles stored in users.role, lowest privilege first
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Roles that can moderate content across all users
+const STAFF_ROLES = ['moderator', 'admin'];
+
+const isStaff = (user) => !!user && STAFF_ROLES.includes(user.role);
 
 // Check if user is authenticated
 const requireAuth = (req, res, next) => {
@@ -36,7 +50,8 @@ const requireGuest = (req, res, next) => {
     next();
 };
 
-// Check if user owns the project (for edit/delete operations)
+// Check if user owns the project, as its creator or an owner member
+// (for edit/delete operations)
 const requireProjectOwnership = async (req, res, next) => {
     try {
         const projectId = req.params.id;
@@ -49,7 +64,7 @@ const requireProjectOwnership = async (req, res, next) => {
         }
         
         // Check if project exists and belongs to user
-        const query = 'SELECT uid FROM projects WHERE pid = ?';
+        const query = 'SELECT pid, uid FROM projects WHERE pid = ?';
         const [projects] = await req.db.execute(query, [projectId]);
         
         if (projects.length === 0) {
@@ -60,7 +75,7 @@ const requireProjectOwnership = async (req, res, next) => {
             return res.redirect('/dashboard');
         }
         
-        if (projects[0].uid !== userId) {
+        if (await getProjectRole(req.db, projects[0], userId) !== 'owner') {
             if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
                 return res.status(403).json({ error: 'Access denied' });
             }
@@ -83,26 +98,149 @@ const requireProjectOwnership = async (req, res, next) => {
     }
 };
 
-// Role-based access control (for future expansion)
-const requireRole = (role) => {
+// Keep the session's copy of the user in sync with the database, so
+// profile, role and status changes apply to existing sessions and deleted
+// accounts are logged out
+const refreshSessionUser = async (req, res, next) => {
+    if (!req.session.user) {
+        return next();
+    }
+    
+    try {
+        const account = await loadAccountStatus(req.db, req.session.user.uid);
+        
+        if (!account) {
+            delete req.session.user;
+            res.locals.user = null;
+            return next();
+        }
+        
+        Object.assign(req.session.user, account);
+        res.locals.user = req.session.user;
+        next();
+        
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Keep the browser and address of each logged-in session up to date for
+// the active sessions page
+const trackSessionClient = (req, res, next) => {
+    if (req.session.user) {
+        recordSessionClient(req);
+    }
+    
+    next();
+};
+
+// Session object for a token-authenticated request. It lives only for
+// the request, so express-session never stores it or sets a cookie.
+const requestSession = (data) => ({
+    ...data,
+    save(callback) {
+        if (callback) callback();
+    },
+    touch() {},
+    destroy(callback) {
+        delete this.user;
+        if (callback) callback();
+    },
+    regenerate(callback) {
+        delete this.user;
+        if (callback) callback();
+    }
+});
+
+// Authenticate "Authorization: Bearer <token>" requests with a personal
+// API token. Must run before express-session; requests without the header
+// fall through to normal cookie sessions.
+const apiTokenAuth = async (req, res, next) => {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    
+    if (!match) {
+        return next();
+    }
+    
+    try {
+        const token = await authenticateApiToken(req.db, match[1]);
+        
+        if (!token) {
+            return res.status(401).json({ error: 'Invalid or expired API token' });
+        }
+        
+        const account = await loadAccountStatus(req.db, token.uid);
+        
+        if (!account) {
+            return res.status(401).json({ error: 'Invalid or expired API token' });
+        }
+        
+        if (account.status !== 'active') {
+            return res.status(403).json({ error: accountStatusMessage(account) });
+        }
+        
+        req.apiToken = token;
+        req.session = requestSession({ user: account });
+        
+        next();
+        
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Restrict token-authenticated requests to tokens with the given scope.
+// Requests using a browser session are not affected.
+const requireScope = (scope) => {
     return (req, res, next) => {
+        if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+            return res.status(403).json({ error: `This token does not have the ${scope} scope` });
+        }
+        
+        next();
+    };
+};
+
+// Load user info for views if logged in, without requiring it
+const optionalAuth = (req, res, next) => {
+    res.locals.user = req.session.user || null;
+    next();
+};
+
+// Role-based access control - allows any of the given roles
+const requireRole = (...roles) => {
+    return async (req, res, next) => {
         if (!req.session.user) {
-            return res.status(401).json({ error: 'Authentication required' });
+            if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            
+            req.session.returnTo = req.originalUrl;
+            return res.redirect('/login');
         }
         
-        // For now, we don't have roles in the database
-        // This is a placeholder for future role-based features
-        if (req.session.user.role !== role) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
+        if (!roles.includes(req.session.user.role)) {
+            await recordAuditEvent(req, { action: 'access.denied', outcome: 'denied', details: { path: req.originalUrl } });
+            
+            if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            
+            return res.status(403).render('error', {
+                title: 'Access Forbidden',
+                message: 'You do not have permission to access this page.'
+            });
         }
         
         next();
     };
 };
 
-// Admin check (placeholder for future admin features)
-const requireAdmin = (req, res, next) => {
+// Admin check
+const requireAdmin = async (req, res, next) => {
     if (!req.session.user || req.session.user.role !== 'admin') {
+        await recordAuditEvent(req, { action: 'access.denied', outcome: 'denied', details: { path: req.originalUrl } });
+        
         if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
             return res.status(403).json({ error: 'Admin access required' });
         }
@@ -183,73 +321,67 @@ const validateCSRFToken = (req, res, next) => {
     next();
 };
 
-// Rate limiting for authentication endpoints
-const authRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-    const attempts = new Map();
-    
-    return (req, res, next) => {
-        const ip = req.ip || req.connection.remoteAddress;
-        const now = Date.now();
-        
-        // Clean up old attempts
-        for (const [key, data] of attempts.entries()) {
-            if (now - data.firstAttempt > windowMs) {
-                attempts.delete(key);
-            }
-        }
-        
-        const userAttempts = attempts.get(ip);
-        
-        if (userAttempts && userAttempts.count >= maxAttempts) {
-            const timeLeft = Math.ceil((windowMs - (now - userAttempts.firstAttempt)) / 1000 / 60);
+// Brute-force protection for login. Refuses the request while the
+// username or IP is throttled, and gives the route hooks to report the
+// outcome: req.recordFailedAttempt(user) and req.clearFailedAttempts().
+const authRateLimit = () => {
+    return async (req, res, next) => {
+        try {
+            const username = req.body.username || '';
+            const blocked = await checkLoginAllowed(req.db, username, req.ip);
             
-            if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
-                return res.status(429).json({
-                    error: 'Too many login attempts',
-                    timeLeft: timeLeft
+            if (blocked) {
+                await recordAuditEvent(req, {
+                    action: 'auth.login',
+                    outcome: 'denied',
+                    actor: { username: String(username).trim() },
+                    details: { reason: blocked.reason }
+                });
+                
+                if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+                    return res.status(429).json({ error: blocked.message });
+                }
+                
+                return res.status(429).render('login', {
+                    title: 'Login',
+                    currentPage: 'login',
+                    error: blocked.message
                 });
             }
             
-            return res.render('login', {
-                title: 'Login',
-                error: `Too many login attempts. Please try again in ${timeLeft} minutes.`
-            });
+            req.recordFailedAttempt = (user) => recordFailedLogin(req, username, user);
+            req.clearFailedAttempts = () => clearFailedLogins(req.db, username);
+            
+            next();
+            
+        } catch (error) {
+            next(error);
         }
-        
-        // Record this attempt on login failure
-        req.recordFailedAttempt = () => {
-            if (!userAttempts) {
-                attempts.set(ip, { count: 1, firstAttempt: now });
-            } else {
-                userAttempts.count++;
-            }
-        };
-        
-        // Clear attempts on successful login
-        req.clearFailedAttempts = () => {
-            attempts.delete(ip);
-        };
-        
-        next();
     };
 };
 
-// Middleware to check if user account is active (for future account status features)
+// End the session of a suspended or deactivated account. Mounted after
+// refreshSessionUser so the status is current on every request.
 const requireActiveAccount = (req, res, next) => {
-    if (req.session.user && req.session.user.status === 'suspended') {
+    const user = req.session.user;
+    
+    if (user && user.status && user.status !== 'active') {
+        const message = accountStatusMessage(user);
+        
         req.session.destroy((err) => {
             if (err) {
                 console.error('Session destruction error:', err);
             }
         });
+        res.locals.user = null;
         
         if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
-            return res.status(403).json({ error: 'Account suspended' });
+            return res.status(403).json({ error: message });
         }
         
-        return res.render('error', {
-            title: 'Account Suspended',
-            message: 'Your account has been suspended. Please contact support.'
+        return res.status(403).render('error', {
+            title: user.status === 'deactivated' ? 'Account Deactivated' : 'Account Suspended',
+            message: message
         });
     }
     
@@ -257,9 +389,16 @@ const requireActiveAccount = (req, res, next) => {
 };
 
 module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    isStaff,
     requireAuth,
     requireGuest,
     requireProjectOwnership,
+    refreshSessionUser,
+    trackSessionClient,
+    apiTokenAuth,
+    requireScope,
     optionalAuth,
     requireRole,
     requireAdmin,
@@ -0,0 +1,70 @@
+/**
+ * Policy Middleware
+ * Central place for "may this user do X" rules, so restrictions such as
+ * unverified email addresses are enforced the same way in every route
+ */
+
+const { isStaff } = require('./auth');
+
+// Project roles allowed to edit a project's details
+const PROJECT_EDITOR_ROLES = ['owner', 'editor'];
+
+// Every other project right starts with being able to read the project
+const canRead = (user, project) => policies['project:read'](user, project);
+
+// Registered policies: action name -> (user, resource) => boolean
+const policies = {
+    // Unverified accounts can't publish projects (make them public or
+    // unlisted) until they confirm their email; private projects are fine
+    'project:create-public': (user) => !!(user && user.emailVerified),
+    
+    // Anyone may open public and unlisted projects; private ones are for
+    // their owners only, not other members or staff
+    'project:read': (user, project) => project.visibility !== 'private' || project.member_role === 'owner',
+    
+    // Project access follows the user's role on the project (member_role, see
+    // services/projectMembers); staff can moderate any project they can read
+    'project:view': (user, project) => canRead(user, project) && (!!project.member_role || isStaff(user)),
+    'project:edit': (user, project) => canRead(user, project) && (PROJECT_EDITOR_ROLES.includes(project.member_role) || isStaff(user)),
+    'project:delete': (user, project) => canRead(user, project) && (project.member_role === 'owner' || isStaff(user)),
+    'project:manage-members': (user, project) => canRead(user, project) && (project.member_role === 'owner' || isStaff(user)),
+    'project:manage-attachments': (user, project) => canRead(user, project) && (project.member_role === 'owner' || isStaff(user)),
+    
+    // Authors can edit their comments. Authors, the project's owners and staff
+    // can delete them; comment rows carry the user's member_role on the project.
+    'comment:edit': (user, comment) => !!user && comment.uid === user.uid,
+    'comment:delete': (user, comment) => !!user && (comment.uid === user.uid || comment.member_role === 'owner' || isStaff(user))
+};
+
+// Add or replace a policy
+const definePolicy = (action, check) => {
+    policies[action] = check;
+};
+
+// Check a policy; unknown actions are denied
+const can = (user, action, resource) => {
+    const check = policies[action];
+    return check ? !!check(user, resource) : false;
+};
+
+// Route guard for a policy
+const requirePolicy = (action, message = 'You do not have permission to do that.') => {
+    return (req, res, next) => {
+        if (can(req.session.user, action)) {
+            return next();
+        }
+        
+        if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+            return res.status(403).json({ error: message });
+        }
+        
+        req.session.errorMessage = message;
+        return res.redirect('/dashboard');
+    };
+};
+
+module.exports = {
+    definePolicy,
+    can,
+    requirePolicy
+};
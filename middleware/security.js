@@ -268,6 +268,20 @@ const sqlInjectionProtection = (req, res, next) => {
     next();
 };
 
+// HTML sanitizer for rendered user content (e.g. comment Markdown): only
+// basic formatting tags survive, and links keep just their href
+const userContentFilter = new xss.FilterXSS({
+    whiteList: {
+        p: [], br: [], strong: [], em: [], code: [], pre: [], blockquote: [],
+        ul: [], ol: [], li: [], del: [],
+        a: ['href', 'class', 'rel']
+    },
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style']
+});
+
+const sanitizeHtml = (html) => userContentFilter.process(html);
+
 // Logging middleware for security events
 const securityLogger = (req, res, next) => {
     const originalRender = res.render;
@@ -296,6 +310,7 @@ module.exports = {
     
     // Input validation
     validateAndSanitize,
+    sanitizeHtml,
     
     // Security measures
     csrfProtection,
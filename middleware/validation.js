@@ -11,9 +11,9 @@ const isValidDate = (value) => {
     return date instanceof Date && !isNaN(date);
 };
 
-const isValidPhase = (value) => {
-    const validPhases = ['design', 'development', 'testing', 'deployment', 'complete'];
-    return validPhases.includes(value);
+// Phases come from the workflows app.js loads onto the request
+const isValidPhase = (value, req) => {
+    return Boolean(req.workflows && req.workflows.findPhase(value));
 };
 
 const isStrongPassword = (value) => {
@@ -155,8 +155,8 @@ const projectValidation = [
         }),
     
     body('phase')
-        .custom((value) => {
-            if (!isValidPhase(value)) {
+        .custom((value, { req }) => {
+            if (!isValidPhase(value, req)) {
                 throw new Error('Please select a valid phase');
             }
             return true;
@@ -183,8 +183,8 @@ const searchValidation = [
     
     query('phase')
         .optional()
-        .custom((value) => {
-            if (value && !isValidPhase(value)) {
+        .custom((value, { req }) => {
+            if (value && !isValidPhase(value, req)) {
                 throw new Error('Invalid phase filter');
             }
             return true;
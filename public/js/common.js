@@ -84,4 +84,80 @@ document.addEventListener('DOMContentLoaded', function() {
     if (searchInput) {
         searchInput.focus();
     }
-});
\ No newline at end of file
+});
+
+// Tag autocomplete: suggest existing tags for the last entry of a
+// comma-separated tag input (marked with data-tag-autocomplete)
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('input[data-tag-autocomplete]').forEach(function(input) {
+        const suggestions = document.getElementById(input.getAttribute('list'));
+        let timer = null;
+        
+        if (!suggestions) {
+            return;
+        }
+        
+        input.addEventListener('input', function() {
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                const parts = input.value.split(',');
+                const current = parts.pop().trim();
+                const chosen = parts.map(part => part.trim()).filter(part => part.length > 0);
+                
+                if (!current) {
+                    suggestions.innerHTML = '';
+                    return;
+                }
+                
+                fetch('/api/tags?q=' + encodeURIComponent(current))
+                    .then(response => response.ok ? response.json() : [])
+                    .then(function(tags) {
+                        suggestions.innerHTML = '';
+                        tags.filter(tag => !chosen.includes(tag.name)).forEach(function(tag) {
+                            // Each option holds the whole value so picking it keeps the earlier tags
+                            const option = document.createElement('option');
+                            option.value = chosen.concat(tag.name).join(', ');
+                            option.label = `${tag.name} (${tag.count})`;
+                            suggestions.appendChild(option);
+                        });
+                    })
+                    .catch(function() {
+                        suggestions.innerHTML = '';
+                    });
+            }, 200);
+        });
+    });
+});
+
+// Workflow selects: show only the chosen workflow's phases in the phase select
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('select[data-phase-select]').forEach(function(workflowSelect) {
+        const phaseSelect = document.getElementById(workflowSelect.getAttribute('data-phase-select'));
+        
+        if (!phaseSelect) {
+            return;
+        }
+        
+        workflowSelect.addEventListener('change', function() {
+            phaseSelect.querySelectorAll('option[data-workflow]').forEach(function(option) {
+                const inWorkflow = option.getAttribute('data-workflow') === workflowSelect.value;
+                option.hidden = !inWorkflow;
+                option.disabled = !inWorkflow;
+            });
+            
+            if (phaseSelect.selectedOptions.length === 0 || phaseSelect.selectedOptions[0].disabled) {
+                phaseSelect.value = '';
+            }
+        });
+    });
+});
+
+// Selects marked with data-submit-on-change submit their form when changed
+// (inline handlers are blocked by the Content-Security-Policy)
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('select[data-submit-on-change]').forEach(function(select) {
+        select.addEventListener('change', function() {
+            select.form.submit();
+        });
+    });
+});
@@ -21,7 +21,7 @@ document.addEventListener('DOMContentLoaded', function() {
             card.addEventListener('click', function(e) {
                 console.log('Stat card clicked:', this.getAttribute('data-phase'));
                 const phase = this.getAttribute('data-phase');
-                filterProjectsByPhase(phase);
+                filterProjectsByPhase(phase, this.getAttribute('data-phase-name'));
                 
                 // Update active state
                 statCards.forEach(c => c.classList.remove('active'));
@@ -39,7 +39,7 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
 
-        function filterProjectsByPhase(phase) {
+        function filterProjectsByPhase(phase, phaseName) {
             console.log('Filtering by phase:', phase);
             let visibleCount = 0;
 
@@ -72,7 +72,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 if (filterDisplay) {
                     filterDisplay.style.display = 'block';
                     if (currentFilter) {
-                        currentFilter.textContent = phase.charAt(0).toUpperCase() + phase.slice(1);
+                        currentFilter.textContent = phaseName || phase;
                     }
                 }
             }
@@ -0,0 +1,755 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const router = express.Router();
+
+// Import auth middleware
+const {
+    requireAuth,
+    usernameValidation,
+    emailValidation,
+    passwordValidation,
+    recentlyReauthenticated
+} = require('./auth');
+const { sendMail } = require('../services/mailer');
+const { sendVerificationEmail } = require('../services/emailVerification');
+const { generateSecret, verifyCode, provisioningUri } = require('../services/totp');
+const {
+    enableTwoFactor,
+    disableTwoFactor,
+    replaceRecoveryCodes,
+    countRecoveryCodes,
+    verifySecondFactor
+} = require('../services/twoFactor');
+const { listUserSessions, revokeSession, revokeUserSessions } = require('../services/sessions');
+const { API_SCOPES, createApiToken, listApiTokens, revokeApiToken } = require('../services/apiTokens');
+const { recordAuditEvent, listAuditEvents } = require('../services/audit');
+const { removeStoredFiles } = require('../services/attachments');
+const { deleteProjects } = require('../services/trash');
+
+const ACTIVITY_PAGE_SIZE = 25;
+
+// Expiry options for new API tokens, in days ('' = never)
+const TOKEN_EXPIRY_DAYS = ['30', '90', '365', ''];
+
+const apiTokenValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Token name must be between 1 and 100 characters'),
+    
+    body('scopes')
+        .toArray()
+        .custom(scopes => scopes.length > 0 && scopes.every(scope => API_SCOPES.includes(scope)))
+        .withMessage('Please choose at least one valid scope'),
+    
+    body('expiresInDays')
+        .isIn(TOKEN_EXPIRY_DAYS)
+        .withMessage('Please choose a valid expiry')
+];
+
+const currentPasswordValidation = [
+    body('currentPassword')
+        .if((value, { req }) => !recentlyReauthenticated(req))
+        .notEmpty()
+        .withMessage('Please enter your current password')
+];
+
+const deleteAccountValidation = [
+    ...currentPasswordValidation,
+    
+    body('projectAction')
+        .isIn(['delete', 'transfer'])
+        .withMessage('Please choose what happens to your projects'),
+    
+    body('transferTo')
+        .if(body('projectAction').equals('transfer'))
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter the username to transfer your projects to')
+];
+
+// Check the current user's password (for sensitive changes). A recent
+// sign-in with the identity provider counts instead.
+async function checkCurrentPassword(req) {
+    if (recentlyReauthenticated(req)) {
+        return true;
+    }
+    
+    const [users] = await req.db.execute('SELECT password FROM users WHERE uid = ?', [req.session.user.uid]);
+    
+    if (users.length === 0) {
+        return false;
+    }
+    return bcrypt.compare(req.body.currentPassword || '', users[0].password);
+}
+
+// Render the account settings page
+async function renderAccount(req, res, options = {}) {
+    const [projects] = await req.db.execute(
+        'SELECT COUNT(*) as total FROM projects WHERE uid = ? AND deleted_at IS NULL',
+        [req.session.user.uid]
+    );
+    const [identities] = await req.db.execute(
+        'SELECT email, created_at, last_login_at FROM user_identities WHERE uid = ? ORDER BY created_at',
+        [req.session.user.uid]
+    );
+    
+    res.status(options.status || 200).render('account', {
+        title: 'Account Settings',
+        currentPage: 'account',
+        projectCount: Number(projects[0].total),
+        identities: identities,
+        reauthenticated: recentlyReauthenticated(req),
+        section: options.section || null,
+        errors: options.errors || [],
+        formData: options.formData || {},
+        successMessage: options.successMessage || null,
+        errorMessage: options.errorMessage || null
+    });
+}
+
+// Account settings
+router.get('/account', requireAuth, async (req, res) => {
+    try {
+        await renderAccount(req, res, {
+            successMessage: req.session.successMessage,
+            errorMessage: req.session.errorMessage
+        });
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Account settings error:', error);
+        res.status(500).render('error', {
+            title: 'Account Settings',
+            message: 'Unable to load your account settings. Please try again later.'
+        });
+    }
+});
+
+// Rename the account
+router.post('/account/username', requireAuth, usernameValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const username = (req.body.username || '').trim();
+        
+        if (!errors.isEmpty()) {
+            return renderAccount(req, res, { section: 'username', errors: errors.array(), formData: req.body });
+        }
+        
+        if (username === req.session.user.username) {
+            return res.redirect('/account');
+        }
+        
+        const [existing] = await req.db.execute(
+            'SELECT uid FROM users WHERE username = ? AND uid <> ?',
+            [username, req.session.user.uid]
+        );
+        
+        if (existing.length > 0) {
+            return renderAccount(req, res, {
+                section: 'username',
+                errors: [{ msg: 'That username is already taken' }],
+                formData: req.body
+            });
+        }
+        
+        const previousUsername = req.session.user.username;
+        await req.db.execute('UPDATE users SET username = ? WHERE uid = ?', [username, req.session.user.uid]);
+        req.session.user.username = username;
+        await recordAuditEvent(req, {
+            action: 'account.username-changed',
+            targetType: 'user',
+            targetId: req.session.user.uid,
+            details: { from: previousUsername, to: username }
+        });
+        
+        req.session.successMessage = `Your username is now ${username}.`;
+        res.redirect('/account');
+        
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return renderAccount(req, res, {
+                section: 'username',
+                errors: [{ msg: 'That username is already taken' }],
+                formData: req.body
+            });
+        }
+        
+        console.error('Change username error:', error);
+        req.session.errorMessage = 'Unable to change your username. Please try again.';
+        res.redirect('/account');
+    }
+});
+
+// Change the email address; the new address must be verified again
+router.post('/account/email', requireAuth, [...emailValidation, ...currentPasswordValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const { email } = req.body;
+        
+        if (!errors.isEmpty()) {
+            return renderAccount(req, res, { section: 'email', errors: errors.array(), formData: req.body });
+        }
+        
+        if (!(await checkCurrentPassword(req))) {
+            await recordAuditEvent(req, {
+                action: 'account.email-changed',
+                outcome: 'failure',
+                details: { reason: 'bad-password' }
+            });
+            return renderAccount(req, res, {
+                section: 'email',
+                errors: [{ msg: 'Your current password is incorrect' }],
+                formData: req.body
+            });
+        }
+        
+        const user = req.session.user;
+        
+        if (email === user.email) {
+            return res.redirect('/account');
+        }
+        
+        const [existing] = await req.db.execute('SELECT uid FROM users WHERE email = ? AND uid <> ?', [email, user.uid]);
+        
+        if (existing.length > 0) {
+            return renderAccount(req, res, {
+                section: 'email',
+                errors: [{ msg: 'That email address is already in use' }],
+                formData: req.body
+            });
+        }
+        
+        const previousEmail = user.email;
+        await req.db.execute(
+            'UPDATE users SET email = ?, email_verified_at = NULL WHERE uid = ?',
+            [email, user.uid]
+        );
+        user.email = email;
+        user.emailVerified = false;
+        await recordAuditEvent(req, {
+            action: 'account.email-changed',
+            targetType: 'user',
+            targetId: user.uid,
+            details: { from: previousEmail, to: email }
+        });
+        
+        try {
+            await sendVerificationEmail(req, user);
+            req.session.verificationSentAt = Date.now();
+            
+            await sendMail({
+                to: previousEmail,
+                subject: 'Your email address was changed',
+                text: [
+                    `Hi ${user.username},`,
+                    '',
+                    `The email address on your Project Manager account was changed to ${email}.`,
+                    '',
+                    'If you did not make this change, reset your password and contact support.'
+                ].join('\n')
+            });
+        } catch (mailError) {
+            console.error('Email change notification error:', mailError);
+        }
+        
+        req.session.successMessage = `Your email address is now ${email}. Check that inbox to verify it.`;
+        res.redirect('/account');
+        
+    } catch (error) {
+        console.error('Change email error:', error);
+        req.session.errorMessage = 'Unable to change your email address. Please try again.';
+        res.redirect('/account');
+    }
+});
+
+// Change the password; other sessions are signed out
+router.post('/account/password', requireAuth, [...currentPasswordValidation, ...passwordValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return renderAccount(req, res, { section: 'password', errors: errors.array() });
+        }
+        
+        if (!(await checkCurrentPassword(req))) {
+            await recordAuditEvent(req, {
+                action: 'account.password-changed',
+                outcome: 'failure',
+                details: { reason: 'bad-password' }
+            });
+            return renderAccount(req, res, {
+                section: 'password',
+                errors: [{ msg: 'Your current password is incorrect' }]
+            });
+        }
+        
+        const uid = req.session.user.uid;
+        const hashedPassword = await bcrypt.hash(req.body.password, 12);
+        
+        await req.db.execute('UPDATE users SET password = ? WHERE uid = ?', [hashedPassword, uid]);
+        await req.db.execute(
+            'UPDATE password_resets SET used_at = ? WHERE uid = ? AND used_at IS NULL',
+            [new Date(), uid]
+        );
+        await revokeUserSessions(req.db, uid, req.sessionID);
+        await recordAuditEvent(req, { action: 'account.password-changed', targetType: 'user', targetId: uid });
+        
+        req.session.successMessage = 'Your password has been changed. Other devices have been signed out.';
+        res.redirect('/account');
+        
+    } catch (error) {
+        console.error('Change password error:', error);
+        req.session.errorMessage = 'Unable to change your password. Please try again.';
+        res.redirect('/account');
+    }
+});
+
+// Delete the account, first deleting or handing over its projects
+router.post('/account/delete', requireAuth, deleteAccountValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const user = req.session.user;
+        
+        if (!errors.isEmpty()) {
+            return renderAccount(req, res, { section: 'delete', errors: errors.array(), formData: req.body });
+        }
+        
+        if (!(await checkCurrentPassword(req))) {
+            await recordAuditEvent(req, {
+                action: 'account.deleted',
+                outcome: 'failure',
+                details: { reason: 'bad-password' }
+            });
+            return renderAccount(req, res, {
+                section: 'delete',
+                errors: [{ msg: 'Your current password is incorrect' }],
+                formData: req.body
+            });
+        }
+        
+        if (user.role === 'admin') {
+            const [admins] = await req.db.execute("SELECT COUNT(*) as total FROM users WHERE role = 'admin'");
+            
+            if (admins[0].total <= 1) {
+                return renderAccount(req, res, {
+                    section: 'delete',
+                    errors: [{ msg: 'You are the only administrator. Make someone else an admin first.' }],
+                    formData: req.body
+                });
+            }
+        }
+        
+        const projectAction = { projects: req.body.projectAction };
+        let recipient = null;
+        
+        if (req.body.projectAction === 'transfer') {
+            const [recipients] = await req.db.execute(
+                "SELECT uid FROM users WHERE username = ? AND uid <> ? AND status = 'active'",
+                [req.body.transferTo.trim(), user.uid]
+            );
+            
+            if (recipients.length === 0) {
+                return renderAccount(req, res, {
+                    section: 'delete',
+                    errors: [{ msg: 'No active user with that username was found' }],
+                    formData: req.body
+                });
+            }
+            
+            recipient = recipients[0];
+            projectAction.transferTo = req.body.transferTo.trim();
+        }
+        
+        // Stored files are removed only once the rows are gone for good
+        const storageKeys = await req.db.transaction(async tx => {
+            let keys;
+            
+            if (recipient) {
+                // Projects in the trash aren't handed over; they go with the account
+                const [trashedProjects] = await tx.execute(
+                    'SELECT pid FROM projects WHERE uid = ? AND deleted_at IS NOT NULL',
+                    [user.uid]
+                );
+                keys = await deleteProjects(tx, trashedProjects.map(project => project.pid));
+                
+                // The recipient becomes the creator, so any membership they had is redundant
+                await tx.execute(
+                    'DELETE FROM project_members WHERE uid = ? AND pid IN (SELECT pid FROM projects WHERE uid = ?)',
+                    [recipient.uid, user.uid]
+                );
+                await tx.execute('UPDATE projects SET uid = ? WHERE uid = ?', [recipient.uid, user.uid]);
+            } else {
+                const [ownedProjects] = await tx.execute('SELECT pid FROM projects WHERE uid = ?', [user.uid]);
+                keys = await deleteProjects(tx, ownedProjects.map(project => project.pid));
+            }
+            
+            // Sessions, tokens, identities and 2FA data are removed by cascade
+            await tx.execute('DELETE FROM users WHERE uid = ?', [user.uid]);
+            return keys;
+        });
+        await removeStoredFiles(storageKeys);
+        
+        // The user row is gone, so the event keeps only the name
+        await recordAuditEvent(req, {
+            action: 'account.deleted',
+            actor: { username: user.username },
+            targetType: 'user',
+            targetId: user.uid,
+            details: projectAction
+        });
+        
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Session destruction error:', err);
+            }
+            
+            res.clearCookie('sessionId');
+            res.redirect('/?message=account-deleted');
+        });
+        
+    } catch (error) {
+        console.error('Delete account error:', error);
+        req.session.errorMessage = 'Unable to delete your account. Please try again.';
+        res.redirect('/account');
+    }
+});
+
+// Load the current user's 2FA state
+async function loadTwoFactorUser(req) {
+    const [users] = await req.db.execute(
+        'SELECT uid, username, email, password, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE uid = ?',
+        [req.session.user.uid]
+    );
+    return users[0];
+}
+
+// Render the two-factor settings page
+async function renderTwoFactor(req, res, options = {}) {
+    const user = await loadTwoFactorUser(req);
+    const [identities] = await req.db.execute('SELECT id FROM user_identities WHERE uid = ?', [user.uid]);
+    const enabled = !!user.totp_enabled_at;
+    let setup = null;
+    
+    if (!enabled) {
+        // The secret stays in the session until it is confirmed with a code
+        if (!req.session.pendingTotpSecret) {
+            req.session.pendingTotpSecret = generateSecret();
+        }
+        
+        const uri = provisioningUri({ secret: req.session.pendingTotpSecret, accountName: user.username });
+        setup = {
+            secret: req.session.pendingTotpSecret,
+            uri: uri,
+            qrCode: await QRCode.toDataURL(uri)
+        };
+    }
+    
+    res.render('two-factor', {
+        title: 'Two-Factor Authentication',
+        currentPage: 'account',
+        enabled: enabled,
+        enabledAt: user.totp_enabled_at,
+        recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.db, user.uid) : 0,
+        setup: setup,
+        recoveryCodes: options.recoveryCodes || null,
+        reauthenticated: recentlyReauthenticated(req),
+        hasIdentity: identities.length > 0,
+        successMessage: options.successMessage || null,
+        error: options.error || null
+    });
+}
+
+// Two-factor settings / enrollment
+router.get('/account/two-factor', requireAuth, async (req, res) => {
+    try {
+        await renderTwoFactor(req, res, {
+            successMessage: req.session.successMessage,
+            error: req.session.errorMessage
+        });
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+    } catch (error) {
+        console.error('Two-factor settings error:', error);
+        res.status(500).render('error', {
+            title: 'Two-Factor Authentication',
+            message: 'Unable to load two-factor settings. Please try again later.'
+        });
+    }
+});
+
+// Confirm enrollment with the first code from the authenticator app
+router.post('/account/two-factor/enable', requireAuth, async (req, res) => {
+    try {
+        const secret = req.session.pendingTotpSecret;
+        const step = secret ? verifyCode(secret, req.body.code) : null;
+        
+        if (step === null) {
+            return renderTwoFactor(req, res, {
+                error: 'That code was not valid. Check the time on your device and try again.'
+            });
+        }
+        
+        const recoveryCodes = await enableTwoFactor(req.db, req.session.user.uid, secret, step);
+        delete req.session.pendingTotpSecret;
+        await recordAuditEvent(req, {
+            action: 'account.two-factor-enabled',
+            targetType: 'user',
+            targetId: req.session.user.uid
+        });
+        
+        await renderTwoFactor(req, res, {
+            recoveryCodes: recoveryCodes,
+            successMessage: 'Two-factor authentication is now enabled.'
+        });
+        
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).render('error', {
+            title: 'Two-Factor Authentication',
+            message: 'Unable to enable two-factor authentication. Please try again later.'
+        });
+    }
+});
+
+// Turn 2FA off (requires the password and a current code)
+router.post('/account/two-factor/disable', requireAuth, async (req, res) => {
+    try {
+        const user = await loadTwoFactorUser(req);
+        const validPassword = recentlyReauthenticated(req) || await bcrypt.compare(req.body.password || '', user.password);
+        
+        if (!validPassword || !user.totp_enabled_at || !(await verifySecondFactor(req.db, user, req.body.code))) {
+            await recordAuditEvent(req, {
+                action: 'account.two-factor-disabled',
+                outcome: 'failure',
+                targetType: 'user',
+                targetId: user.uid
+            });
+            return renderTwoFactor(req, res, { error: 'Incorrect password or authentication code.' });
+        }
+        
+        await disableTwoFactor(req.db, user.uid);
+        await recordAuditEvent(req, { action: 'account.two-factor-disabled', targetType: 'user', targetId: user.uid });
+        await renderTwoFactor(req, res, { successMessage: 'Two-factor authentication has been disabled.' });
+        
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).render('error', {
+            title: 'Two-Factor Authentication',
+            message: 'Unable to disable two-factor authentication. Please try again later.'
+        });
+    }
+});
+
+// Issue a new set of recovery codes
+router.post('/account/two-factor/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        const user = await loadTwoFactorUser(req);
+        
+        if (!user.totp_enabled_at || !(await verifySecondFactor(req.db, user, req.body.code))) {
+            return renderTwoFactor(req, res, { error: 'Invalid authentication code.' });
+        }
+        
+        const recoveryCodes = await replaceRecoveryCodes(req.db, user.uid);
+        await recordAuditEvent(req, {
+            action: 'account.recovery-codes-generated',
+            targetType: 'user',
+            targetId: user.uid
+        });
+        await renderTwoFactor(req, res, {
+            recoveryCodes: recoveryCodes,
+            successMessage: 'New recovery codes generated. Your old codes no longer work.'
+        });
+        
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).render('error', {
+            title: 'Two-Factor Authentication',
+            message: 'Unable to generate recovery codes. Please try again later.'
+        });
+    }
+});
+
+// Active sessions
+router.get('/account/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await listUserSessions(req.db, req.session.user.uid, req.sessionID);
+        
+        res.render('sessions', {
+            title: 'Active Sessions',
+            currentPage: 'account',
+            sessions: sessions,
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
+        });
+        
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Active sessions error:', error);
+        res.status(500).render('error', {
+            title: 'Active Sessions',
+            message: 'Unable to load your sessions. Please try again later.'
+        });
+    }
+});
+
+// Sign out every other device
+router.post('/account/sessions/revoke-others', requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.db, req.session.user.uid, req.sessionID);
+        await recordAuditEvent(req, { action: 'account.sessions-revoked', details: { count: revoked } });
+        
+        req.session.successMessage = revoked === 1
+            ? 'Signed out of 1 other session.'
+            : `Signed out of ${revoked} other sessions.`;
+        res.redirect('/account/sessions');
+        
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        req.session.errorMessage = 'Unable to sign out other sessions. Please try again.';
+        res.redirect('/account/sessions');
+    }
+});
+
+// Sign out a single session
+router.post('/account/sessions/:id/revoke', requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.db, req.session.user.uid, req.params.id);
+        
+        if (revoked) {
+            await recordAuditEvent(req, {
+                action: 'account.session-revoked',
+                targetType: 'session',
+                targetId: req.params.id
+            });
+            req.session.successMessage = 'Session signed out.';
+        } else {
+            req.session.errorMessage = 'Session not found. It may have already expired.';
+        }
+        res.redirect('/account/sessions');
+        
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        req.session.errorMessage = 'Unable to sign out that session. Please try again.';
+        res.redirect('/account/sessions');
+    }
+});
+
+// Security events for the current account
+router.get('/account/activity', requireAuth, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { events, total } = await listAuditEvents(
+            req.db,
+            { uid: req.session.user.uid },
+            { page: page, pageSize: ACTIVITY_PAGE_SIZE }
+        );
+        const totalPages = Math.ceil(total / ACTIVITY_PAGE_SIZE);
+        
+        res.render('account-activity', {
+            title: 'Account Activity',
+            currentPage: 'account',
+            events: events,
+            paginationPage: page,
+            totalPages: totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        });
+        
+    } catch (error) {
+        console.error('Account activity error:', error);
+        res.status(500).render('error', {
+            title: 'Account Activity',
+            message: 'Unable to load your account activity. Please try again later.'
+        });
+    }
+});
+
+// Render the API tokens page
+async function renderApiTokens(req, res, options = {}) {
+    res.render('api-tokens', {
+        title: 'API Tokens',
+        currentPage: 'account',
+        tokens: await listApiTokens(req.db, req.session.user.uid),
+        scopes: API_SCOPES,
+        newToken: options.newToken || null,
+        formData: options.formData || {},
+        errors: options.errors || [],
+        successMessage: options.successMessage || null
+    });
+}
+
+// Personal API tokens
+router.get('/account/tokens', requireAuth, async (req, res) => {
+    try {
+        await renderApiTokens(req, res, { successMessage: req.session.successMessage });
+        delete req.session.successMessage;
+    } catch (error) {
+        console.error('API tokens error:', error);
+        res.status(500).render('error', {
+            title: 'API Tokens',
+            message: 'Unable to load your API tokens. Please try again later.'
+        });
+    }
+});
+
+// Create a token; the value is only shown in this response
+router.post('/account/tokens', requireAuth, apiTokenValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return renderApiTokens(req, res, { errors: errors.array(), formData: req.body });
+        }
+        
+        const newToken = await createApiToken(req.db, req.session.user.uid, {
+            name: req.body.name,
+            scopes: req.body.scopes,
+            expiresInDays: parseInt(req.body.expiresInDays) || null
+        });
+        await recordAuditEvent(req, {
+            action: 'account.api-token-created',
+            details: { name: req.body.name, scopes: req.body.scopes }
+        });
+        
+        await renderApiTokens(req, res, {
+            newToken: newToken,
+            successMessage: 'Token created. Copy it now; it will not be shown again.'
+        });
+        
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).render('error', {
+            title: 'API Tokens',
+            message: 'Unable to create the API token. Please try again later.'
+        });
+    }
+});
+
+router.post('/account/tokens/:id/revoke', requireAuth, async (req, res) => {
+    try {
+        if (await revokeApiToken(req.db, req.session.user.uid, req.params.id)) {
+            await recordAuditEvent(req, {
+                action: 'account.api-token-revoked',
+                targetType: 'api_token',
+                targetId: req.params.id
+            });
+            req.session.successMessage = 'Token revoked.';
+        }
+        res.redirect('/account/tokens');
+        
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).render('error', {
+            title: 'API Tokens',
+            message: 'Unable to revoke the API token. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
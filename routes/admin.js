@@ -0,0 +1,438 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import auth middleware
+const { ROLES, requireRole, requireAdmin } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount } = require('../services/loginThrottle');
+const { AUDIT_OUTCOMES, recordAuditEvent, listAuditEvents } = require('../services/audit');
+const { listProjectFileKeys, removeStoredFiles } = require('../services/attachments');
+
+const PAGE_SIZE = 20;
+
+// Suspension lengths offered in the admin UI, in days ('' = indefinite)
+const SUSPENSION_DAYS = ['1', '7', '30', ''];
+
+// The whole admin area is for staff; user management is admin-only
+router.use(requireRole('moderator', 'admin'));
+
+const listValidation = [
+    query('q')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Search must be at most 100 characters'),
+    
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a valid number')
+];
+
+const roleValidation = [
+    body('role')
+        .isIn(ROLES)
+        .withMessage('Please select a valid role')
+];
+
+const auditValidation = [
+    query('action')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 64 })
+        .withMessage('Action must be at most 64 characters'),
+    
+    query('actor')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Actor must be at most 50 characters'),
+    
+    query('outcome')
+        .optional({ values: 'falsy' })
+        .isIn(AUDIT_OUTCOMES)
+        .withMessage('Please select a valid outcome'),
+    
+    query(['from', 'to'])
+        .optional({ values: 'falsy' })
+        .isISO8601({ strict: true })
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a valid number')
+];
+
+const suspendValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('Please give a reason of at most 500 characters'),
+    
+    body('days')
+        .optional()
+        .isIn(SUSPENSION_DAYS)
+        .withMessage('Please select a valid suspension length')
+];
+
+// Read and clear flash messages for admin pages
+function takeFlash(req) {
+    const flash = {
+        successMessage: req.session.successMessage || null,
+        errorMessage: req.session.errorMessage || null
+    };
+    delete req.session.successMessage;
+    delete req.session.errorMessage;
+    return flash;
+}
+
+// Admin overview
+router.get('/', async (req, res) => {
+    try {
+        const [roleCounts] = await req.db.execute('SELECT role, COUNT(*) as count FROM users GROUP BY role');
+        const [projectCount] = await req.db.execute('SELECT COUNT(*) as total FROM projects WHERE deleted_at IS NULL');
+        
+        const userStats = { user: 0, moderator: 0, admin: 0, total: 0 };
+        roleCounts.forEach(row => {
+            userStats[row.role] = row.count;
+            userStats.total += row.count;
+        });
+        
+        res.render('admin/index', {
+            title: 'Admin',
+            currentPage: 'admin',
+            userStats: userStats,
+            totalProjects: projectCount[0].total,
+            ...takeFlash(req)
+        });
+        
+    } catch (error) {
+        console.error('Admin overview error:', error);
+        res.status(500).render('error', {
+            title: 'Admin Error',
+            message: 'Unable to load the admin area. Please try again later.'
+        });
+    }
+});
+
+// List users
+router.get('/users', requireAdmin, listValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const search = errors.isEmpty() && req.query.q ? req.query.q.trim() : '';
+        const page = parseInt(req.query.page) || 1;
+        const offset = (page - 1) * PAGE_SIZE;
+        
+        const whereClause = search ? 'WHERE u.username LIKE ? OR u.email LIKE ?' : '';
+        const params = search ? [`%${search}%`, `%${search}%`] : [];
+        
+        const [users] = await req.db.execute(`
+            SELECT u.uid, u.username, u.email, u.role, u.status, u.suspension_reason, u.suspended_until,
+                CASE WHEN u.locked_until > ? THEN 1 ELSE 0 END as locked,
+                u.created_at, COUNT(p.pid) as project_count
+            FROM users u
+            LEFT JOIN projects p ON p.uid = u.uid AND p.deleted_at IS NULL
+            ${whereClause}
+            GROUP BY u.uid, u.username, u.email, u.role, u.status, u.suspension_reason, u.suspended_until,
+                u.locked_until, u.created_at
+            ORDER BY u.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [new Date(), ...params, PAGE_SIZE, offset]);
+        
+        const [countResults] = await req.db.execute(
+            `SELECT COUNT(*) as total FROM users u ${whereClause}`,
+            params
+        );
+        const totalPages = Math.ceil(countResults[0].total / PAGE_SIZE);
+        
+        res.render('admin/users', {
+            title: 'Manage Users',
+            currentPage: 'admin',
+            users: users,
+            roles: ROLES,
+            search: search,
+            paginationPage: page,
+            totalPages: totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            errors: errors.array(),
+            ...takeFlash(req)
+        });
+        
+    } catch (error) {
+        console.error('Admin users error:', error);
+        res.status(500).render('error', {
+            title: 'Admin Error',
+            message: 'Unable to load users. Please try again later.'
+        });
+    }
+});
+
+// Change a user's role
+router.post('/users/:id/role', requireAdmin, roleValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const userId = parseInt(req.params.id);
+        const { role } = req.body;
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+            return res.redirect('/admin/users');
+        }
+        
+        if (userId === req.session.user.uid) {
+            req.session.errorMessage = 'You cannot change your own role.';
+            return res.redirect('/admin/users');
+        }
+        
+        const [users] = await req.db.execute('SELECT uid, username, role FROM users WHERE uid = ?', [userId]);
+        
+        if (users.length === 0) {
+            req.session.errorMessage = 'User not found.';
+            return res.redirect('/admin/users');
+        }
+        
+        const target = users[0];
+        
+        // Never leave the application without an administrator
+        if (target.role === 'admin' && role !== 'admin') {
+            const [admins] = await req.db.execute("SELECT COUNT(*) as total FROM users WHERE role = 'admin'");
+            if (admins[0].total <= 1) {
+                req.session.errorMessage = 'At least one administrator is required.';
+                return res.redirect('/admin/users');
+            }
+        }
+        
+        await req.db.execute('UPDATE users SET role = ? WHERE uid = ?', [role, userId]);
+        await recordAuditEvent(req, {
+            action: 'admin.role-changed',
+            targetType: 'user',
+            targetId: userId,
+            details: { username: target.username, from: target.role, to: role }
+        });
+        
+        req.session.successMessage = `${target.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}.`;
+        res.redirect('/admin/users');
+        
+    } catch (error) {
+        console.error('Admin role change error:', error);
+        req.session.errorMessage = 'Failed to change role. Please try again.';
+        res.redirect('/admin/users');
+    }
+});
+
+// Suspend a user; their sessions are revoked and their projects drop out
+// of public listings
+router.post('/users/:id/suspend', requireAdmin, suspendValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const userId = parseInt(req.params.id);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+            return res.redirect('/admin/users');
+        }
+        
+        if (userId === req.session.user.uid) {
+            req.session.errorMessage = 'You cannot suspend your own account.';
+            return res.redirect('/admin/users');
+        }
+        
+        const days = parseInt(req.body.days);
+        const suspendedUntil = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+        
+        const [result] = await req.db.execute(
+            "UPDATE users SET status = 'suspended', suspension_reason = ?, suspended_until = ? WHERE uid = ?",
+            [req.body.reason, suspendedUntil, userId]
+        );
+        
+        if (result.affectedRows === 0) {
+            req.session.errorMessage = 'User not found.';
+        } else {
+            await revokeUserSessions(req.db, userId);
+            await recordAuditEvent(req, {
+                action: 'admin.user-suspended',
+                targetType: 'user',
+                targetId: userId,
+                details: { reason: req.body.reason, days: days || null }
+            });
+            req.session.successMessage = suspendedUntil
+                ? `User suspended for ${days} day${days === 1 ? '' : 's'}.`
+                : 'User suspended until reinstated.';
+        }
+        
+        res.redirect('/admin/users');
+        
+    } catch (error) {
+        console.error('Admin suspend user error:', error);
+        req.session.errorMessage = 'Failed to suspend user. Please try again.';
+        res.redirect('/admin/users');
+    }
+});
+
+// Lift a suspension or reactivate a deactivated account
+router.post('/users/:id/reinstate', requireAdmin, async (req, res) => {
+    try {
+        const [result] = await req.db.execute(
+            "UPDATE users SET status = 'active', suspension_reason = NULL, suspended_until = NULL WHERE uid = ?",
+            [req.params.id]
+        );
+        
+        if (result.affectedRows === 0) {
+            req.session.errorMessage = 'User not found.';
+        } else {
+            await recordAuditEvent(req, { action: 'admin.user-reinstated', targetType: 'user', targetId: req.params.id });
+            req.session.successMessage = 'User reinstated.';
+        }
+        
+        res.redirect('/admin/users');
+        
+    } catch (error) {
+        console.error('Admin reinstate user error:', error);
+        req.session.errorMessage = 'Failed to reinstate user. Please try again.';
+        res.redirect('/admin/users');
+    }
+});
+
+// Lift a login lockout
+router.post('/users/:id/unlock', requireAdmin, async (req, res) => {
+    try {
+        if (await unlockAccount(req.db, req.params.id)) {
+            await recordAuditEvent(req, { action: 'admin.user-unlocked', targetType: 'user', targetId: req.params.id });
+            req.session.successMessage = 'Account unlocked.';
+        } else {
+            req.session.errorMessage = 'User not found.';
+        }
+        
+        res.redirect('/admin/users');
+        
+    } catch (error) {
+        console.error('Admin unlock user error:', error);
+        req.session.errorMessage = 'Failed to unlock account. Please try again.';
+        res.redirect('/admin/users');
+    }
+});
+
+// List all projects for moderation
+router.get('/projects', listValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const search = errors.isEmpty() && req.query.q ? req.query.q.trim() : '';
+        const page = parseInt(req.query.page) || 1;
+        const offset = (page - 1) * PAGE_SIZE;
+        
+        // Projects in their owners' trash are left out
+        const whereClause = search
+            ? 'WHERE p.deleted_at IS NULL AND (p.title LIKE ? OR u.username LIKE ?)'
+            : 'WHERE p.deleted_at IS NULL';
+        const params = search ? [`%${search}%`, `%${search}%`] : [];
+        
+        const [projects] = await req.db.execute(`
+            SELECT p.pid, p.title, p.workflow_id, p.phase, p.start_date, p.updated_at, u.uid, u.username
+            FROM projects p
+            JOIN users u ON p.uid = u.uid
+            ${whereClause}
+            ORDER BY p.updated_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, PAGE_SIZE, offset]);
+        
+        const [countResults] = await req.db.execute(`
+            SELECT COUNT(*) as total
+            FROM projects p
+            JOIN users u ON p.uid = u.uid
+            ${whereClause}
+        `, params);
+        const totalPages = Math.ceil(countResults[0].total / PAGE_SIZE);
+        
+        res.render('admin/projects', {
+            title: 'Moderate Projects',
+            currentPage: 'admin',
+            projects: projects,
+            search: search,
+            paginationPage: page,
+            totalPages: totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            errors: errors.array(),
+            ...takeFlash(req)
+        });
+        
+    } catch (error) {
+        console.error('Admin projects error:', error);
+        res.status(500).render('error', {
+            title: 'Admin Error',
+            message: 'Unable to load projects. Please try again later.'
+        });
+    }
+});
+
+// Remove any project
+router.post('/projects/:id/delete', async (req, res) => {
+    try {
+        const storageKeys = await listProjectFileKeys(req.db, [req.params.id]);
+        const [result] = await req.db.execute('DELETE FROM projects WHERE pid = ?', [req.params.id]);
+        
+        if (result.affectedRows === 0) {
+            req.session.errorMessage = 'Project not found.';
+        } else {
+            await removeStoredFiles(storageKeys);
+            await recordAuditEvent(req, { action: 'admin.project-removed', targetType: 'project', targetId: req.params.id });
+            req.session.successMessage = 'Project removed.';
+        }
+        
+        res.redirect('/admin/projects');
+        
+    } catch (error) {
+        console.error('Admin delete project error:', error);
+        req.session.errorMessage = 'Failed to remove project. Please try again.';
+        res.redirect('/admin/projects');
+    }
+});
+
+// Security audit log
+router.get('/audit', requireAdmin, auditValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const page = parseInt(req.query.page) || 1;
+        
+        // Invalid filters are reported and ignored
+        const invalid = new Set(errors.array().map(error => error.path));
+        const filters = {};
+        ['action', 'actor', 'outcome', 'from', 'to'].forEach(name => {
+            filters[name] = !invalid.has(name) && req.query[name] ? String(req.query[name]).trim() : '';
+        });
+        
+        const { events, total } = await listAuditEvents(req.db, filters, { page: page, pageSize: PAGE_SIZE });
+        const totalPages = Math.ceil(total / PAGE_SIZE);
+        
+        const filterQuery = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value)
+        ).toString();
+        
+        res.render('admin/audit', {
+            title: 'Audit Log',
+            currentPage: 'admin',
+            events: events,
+            filters: filters,
+            filterQuery: filterQuery,
+            outcomes: AUDIT_OUTCOMES,
+            total: total,
+            paginationPage: page,
+            totalPages: totalPages,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            errors: errors.array()
+        });
+        
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).render('error', {
+            title: 'Admin Error',
+            message: 'Unable to load the audit log. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
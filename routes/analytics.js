@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+
+const { userCycleTimes, publicCycleTimes, formatDuration } = require('../services/phaseTransitions');
+
+// Cycle time per phase across public projects, and across the user's own
+// projects when logged in
+router.get('/analytics', async (req, res) => {
+    try {
+        const user = req.session.user || null;
+        
+        res.render('analytics', {
+            title: 'Cycle Time Analytics',
+            currentPage: 'analytics',
+            user: user,
+            phases: req.workflows.phases(),
+            userStats: user ? await userCycleTimes(req.db, user.uid) : null,
+            publicStats: await publicCycleTimes(req.db),
+            formatDuration: formatDuration
+        });
+        
+    } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).render('error', {
+            title: 'Analytics',
+            currentPage: 'analytics',
+            message: 'Unable to load analytics. Please try again later.'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { findProjectWithRole } = require('../services/projectMembers');
+const {
+    maxFileSize,
+    formatBytes,
+    findAttachment,
+    addAttachment,
+    openAttachment,
+    deleteAttachment
+} = require('../services/attachments');
+
+// Uploads are held in memory (up to the size limit) so their type can be
+// checked before anything is written to storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize(), files: 1 }
+}).single('file');
+
+// Parse the multipart upload, turning multer's errors into a message
+function parseUpload(req, res) {
+    return new Promise((resolve, reject) => {
+        upload(req, res, (error) => {
+            if (!error) return resolve(null);
+            if (error instanceof multer.MulterError) {
+                return resolve(error.code === 'LIMIT_FILE_SIZE'
+                    ? `Files can be at most ${formatBytes(maxFileSize())}`
+                    : 'Please upload a single file');
+            }
+            reject(error);
+        });
+    });
+}
+
+function attachmentsUrl(project) {
+    return `/project/${project.pid}#attachments`;
+}
+
+// Load a project for an attachment route, checking the policy. Sends the
+// user to the dashboard and returns null when the project is missing or
+// the action isn't allowed.
+async function findAttachmentProject(req, res, action) {
+    const project = await findProjectWithRole(req.db, req.params.id, req.session.user.uid);
+    
+    if (!project || !can(req.session.user, action, project)) {
+        req.session.errorMessage = 'Project not found or you do not have access to its files.';
+        res.redirect('/dashboard');
+        return null;
+    }
+    return project;
+}
+
+// Upload an attachment
+router.post('/project/:id/attachments', requireAuth, async (req, res) => {
+    try {
+        const project = await findAttachmentProject(req, res, 'project:manage-attachments');
+        if (!project) return;
+        
+        const uploadError = await parseUpload(req, res);
+        
+        if (uploadError || !req.file) {
+            req.session.errorMessage = uploadError || 'Please choose a file to upload.';
+            return res.redirect(attachmentsUrl(project));
+        }
+        
+        const { attachment, error } = await addAttachment(req.db, project.pid, req.file, req.session.user.uid);
+        
+        if (error) {
+            req.session.errorMessage = error;
+        } else {
+            req.session.successMessage = `${attachment.original_name} attached.`;
+        }
+        res.redirect(attachmentsUrl(project));
+        
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        req.session.errorMessage = 'Failed to upload the file. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Download an attachment (project members and staff)
+router.get('/project/:id/attachments/:attachmentId/download', requireAuth, async (req, res) => {
+    try {
+        const project = await findAttachmentProject(req, res, 'project:view');
+        if (!project) return;
+        
+        const attachment = await findAttachment(req.db, project.pid, req.params.attachmentId);
+        
+        if (!attachment) {
+            return res.status(404).render('error', {
+                title: 'File Not Found',
+                message: 'The requested file could not be found.'
+            });
+        }
+        
+        const stream = await openAttachment(attachment);
+        
+        // Always download rather than display, with the type detected at upload
+        res.attachment(attachment.original_name);
+        res.set({
+            'Content-Type': attachment.mime_type,
+            'Content-Length': attachment.size_bytes,
+            'Cache-Control': 'private, no-cache'
+        });
+        
+        stream.on('error', (error) => {
+            console.error('Attachment stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+        
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).render('error', {
+            title: 'Download Error',
+            message: 'Unable to download the file. Please try again later.'
+        });
+    }
+});
+
+// Delete an attachment
+router.post('/project/:id/attachments/:attachmentId/delete', requireAuth, async (req, res) => {
+    try {
+        const project = await findAttachmentProject(req, res, 'project:manage-attachments');
+        if (!project) return;
+        
+        const attachment = await findAttachment(req.db, project.pid, req.params.attachmentId);
+        
+        if (attachment) {
+            await deleteAttachment(req.db, attachment);
+            req.session.successMessage = `${attachment.original_name} removed.`;
+        } else {
+            req.session.errorMessage = 'File not found.';
+        }
+        res.redirect(attachmentsUrl(project));
+        
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        req.session.errorMessage = 'Failed to remove the file. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+module.exports = router;
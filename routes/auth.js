@@ -1,23 +1,33 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
+const { generateToken, hashToken } = require('../services/tokens');
+const { sendMail, appUrl } = require('../services/mailer');
+const { sendVerificationEmail, confirmEmail } = require('../services/emailVerification');
+const { verifySecondFactor, countRecoveryCodes } = require('../services/twoFactor');
+const { loadAccountStatus, accountStatusMessage } = require('../services/accountStatus');
+const { recordSessionClient, revokeUserSessions } = require('../services/sessions');
+const { recordFailedLogin, clearFailedLogins, unlockAccount, confirmUnlock } = require('../services/loginThrottle');
+const { recordAuditEvent } = require('../services/audit');
+const { authRateLimit } = require('../middleware/auth');
 const router = express.Router();
 
+// How long a password reset link stays valid
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Time allowed to enter the 2FA code after the password step
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// Minimum gap between verification email resends
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// How long signing in again with the identity provider stands in for the
+// current password on account changes
+const REAUTH_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
 // Validation middleware
-const registerValidation = [
-    body('username')
-        .trim()
-        .isLength({ min: 3, max: 50 })
-        .withMessage('Username must be between 3 and 50 characters')
-        .matches(/^[a-zA-Z0-9_]+$/)
-        .withMessage('Username can only contain letters, numbers, and underscores'),
-    
-    body('email')
-        .trim()
-        .isEmail()
-        .normalizeEmail()
-        .withMessage('Please provide a valid email address'),
-    
+const passwordValidation = [
     body('password')
         .isLength({ min: 6 })
         .withMessage('Password must be at least 6 characters long')
@@ -33,6 +43,29 @@ const registerValidation = [
         })
 ];
 
+const usernameValidation = [
+    body('username')
+        .trim()
+        .isLength({ min: 3, max: 50 })
+        .withMessage('Username must be between 3 and 50 characters')
+        .matches(/^[a-zA-Z0-9_]+$/)
+        .withMessage('Username can only contain letters, numbers, and underscores')
+];
+
+const emailValidation = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+];
+
+const registerValidation = [
+    ...usernameValidation,
+    ...emailValidation,
+    ...passwordValidation
+];
+
 const loginValidation = [
     body('username')
         .trim()
@@ -44,6 +77,14 @@ const loginValidation = [
         .withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+];
+
 // Authentication middleware
 const requireAuth = (req, res, next) => {
     if (!req.session.user) {
@@ -110,10 +151,22 @@ router.post('/register', requireGuest, registerValidation, async (req, res) => {
         req.session.user = {
             uid: result.insertId,
             username: username.trim(),
-            email: email.trim()
+            email: email.trim(),
+            emailVerified: false,
+            role: 'user'
         };
+        recordSessionClient(req);
+        await recordAuditEvent(req, { action: 'auth.register', targetType: 'user', targetId: result.insertId });
+        
+        try {
+            await sendVerificationEmail(req, req.session.user);
+            req.session.verificationSentAt = Date.now();
+        } catch (mailError) {
+            // The account exists either way; the user can resend from the banner
+            console.error('Verification email error:', mailError);
+        }
         
-        req.session.successMessage = 'Account created successfully! Welcome to Project Manager.';
+        req.session.successMessage = 'Account created successfully! Welcome to Project Manager. Check your inbox to verify your email address.';
         res.redirect('/dashboard');
         
     } catch (error) {
@@ -132,12 +185,62 @@ router.get('/login', requireGuest, (req, res) => {
     res.render('login', {
         title: 'Login',
         currentPage: 'login',
-        error: null
+        error: null,
+        successMessage: req.session.successMessage || null
     });
+    
+    delete req.session.successMessage;
 });
 
+// Accounts with 2FA only get a session after the second step. Returns true
+// when the user has been sent to the code prompt. `method` is how the first
+// step was passed, for the audit log.
+function startSecondFactor(req, res, user, method = 'password') {
+    if (!user.totp_enabled_at) {
+        return false;
+    }
+    
+    req.session.pendingTwoFactor = {
+        uid: user.uid,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+        attempts: 0,
+        method: method
+    };
+    res.redirect('/login/2fa');
+    return true;
+}
+
+// Set the session for a fully authenticated user, record the login and redirect
+async function completeLogin(req, res, user, method, successMessage) {
+    req.session.user = {
+        uid: user.uid,
+        username: user.username,
+        email: user.email,
+        emailVerified: !!user.email_verified_at,
+        role: user.role || 'user'
+    };
+    recordSessionClient(req);
+    await recordAuditEvent(req, { action: 'auth.login', targetType: 'user', targetId: user.uid, details: { method } });
+    
+    // Redirect to intended page or dashboard
+    const redirectTo = req.session.returnTo || '/dashboard';
+    delete req.session.returnTo;
+    
+    req.session.successMessage = successMessage || `Welcome back, ${user.username}!`;
+    res.redirect(redirectTo);
+}
+
+// Whether the user has recently signed in again with the identity provider
+// (GET /auth/oidc/reauth). Accounts created through single sign-on have no
+// password they know, so this is how they confirm sensitive changes.
+function recentlyReauthenticated(req) {
+    const reauth = req.session.reauthenticated;
+    return !!(reauth && req.session.user && reauth.uid === req.session.user.uid &&
+        Date.now() - reauth.at < REAUTH_TTL_MS);
+}
+
 // Handle login
-router.post('/login', requireGuest, loginValidation, async (req, res) => {
+router.post('/login', requireGuest, loginValidation, authRateLimit(), async (req, res) => {
     try {
         const errors = validationResult(req);
         const { username, password } = req.body;
@@ -155,6 +258,13 @@ router.post('/login', requireGuest, loginValidation, async (req, res) => {
         const [users] = await req.db.execute(query, [username.trim()]);
         
         if (users.length === 0) {
+            await req.recordFailedAttempt(null);
+            await recordAuditEvent(req, {
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: { username: username.trim() },
+                details: { reason: 'unknown-user' }
+            });
             return res.render('login', {
                 title: 'Login',
                 currentPage: 'login',
@@ -168,26 +278,49 @@ router.post('/login', requireGuest, loginValidation, async (req, res) => {
         const isValidPassword = await bcrypt.compare(password, user.password);
         
         if (!isValidPassword) {
+            const { locked } = await req.recordFailedAttempt(user);
+            await recordAuditEvent(req, {
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: user,
+                targetType: 'user',
+                targetId: user.uid,
+                details: { reason: 'bad-password', locked }
+            });
             return res.render('login', {
                 title: 'Login',
                 currentPage: 'login',
-                error: 'Invalid username or password'
+                error: locked
+                    ? 'Too many failed login attempts. This account is now temporarily locked; we have emailed you an unlock link.'
+                    : 'Invalid username or password'
             });
         }
         
-        // Set session
-        req.session.user = {
-            uid: user.uid,
-            username: user.username,
-            email: user.email
-        };
+        // Suspended and deactivated accounts can't sign in
+        const account = await loadAccountStatus(req.db, user.uid);
+        
+        if (account.status !== 'active') {
+            await recordAuditEvent(req, {
+                action: 'auth.login',
+                outcome: 'denied',
+                actor: user,
+                targetType: 'user',
+                targetId: user.uid,
+                details: { reason: account.status }
+            });
+            return res.render('login', {
+                title: 'Login',
+                currentPage: 'login',
+                error: accountStatusMessage(account)
+            });
+        }
         
-        // Redirect to intended page or dashboard
-        const redirectTo = req.session.returnTo || '/dashboard';
-        delete req.session.returnTo;
+        if (startSecondFactor(req, res, user)) {
+            return;
+        }
         
-        req.session.successMessage = `Welcome back, ${user.username}!`;
-        res.redirect(redirectTo);
+        await req.clearFailedAttempts();
+        await completeLogin(req, res, user, 'password');
         
     } catch (error) {
         console.error('Login error:', error);
@@ -199,9 +332,113 @@ router.post('/login', requireGuest, loginValidation, async (req, res) => {
     }
 });
 
+// Pending second-factor login, if it hasn't expired
+function getPendingTwoFactor(req) {
+    const pending = req.session.pendingTwoFactor;
+    
+    if (!pending || Date.now() > pending.expiresAt) {
+        delete req.session.pendingTwoFactor;
+        return null;
+    }
+    return pending;
+}
+
+// Second login step: authenticator or recovery code
+router.get('/login/2fa', requireGuest, (req, res) => {
+    if (!getPendingTwoFactor(req)) {
+        return res.redirect('/login');
+    }
+    
+    res.render('login-2fa', {
+        title: 'Two-Factor Authentication',
+        currentPage: 'login',
+        error: null
+    });
+});
+
+// Handle second login step
+router.post('/login/2fa', requireGuest, async (req, res) => {
+    try {
+        const pending = getPendingTwoFactor(req);
+        
+        if (!pending) {
+            return res.render('login', {
+                title: 'Login',
+                currentPage: 'login',
+                error: 'Your login attempt expired. Please sign in again.'
+            });
+        }
+        
+        const [users] = await req.db.execute('SELECT * FROM users WHERE uid = ?', [pending.uid]);
+        const user = users[0];
+        const result = user && user.totp_enabled_at
+            ? await verifySecondFactor(req.db, user, req.body.code)
+            : null;
+        
+        if (!result) {
+            pending.attempts++;
+            
+            // Wrong codes count towards the account lockout too
+            const { locked } = user ? await recordFailedLogin(req, user.username, user) : { locked: false };
+            await recordAuditEvent(req, {
+                action: 'auth.two-factor',
+                outcome: 'failure',
+                actor: user || null,
+                targetType: 'user',
+                targetId: pending.uid,
+                details: { locked }
+            });
+            
+            if (locked) {
+                delete req.session.pendingTwoFactor;
+                return res.render('login', {
+                    title: 'Login',
+                    currentPage: 'login',
+                    error: 'Too many failed login attempts. This account is now temporarily locked; we have emailed you an unlock link.'
+                });
+            }
+            
+            if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                delete req.session.pendingTwoFactor;
+                return res.render('login', {
+                    title: 'Login',
+                    currentPage: 'login',
+                    error: 'Too many invalid codes. Please sign in again.'
+                });
+            }
+            
+            return res.render('login-2fa', {
+                title: 'Two-Factor Authentication',
+                currentPage: 'login',
+                error: 'Invalid authentication code'
+            });
+        }
+        
+        delete req.session.pendingTwoFactor;
+        await clearFailedLogins(req.db, user.username);
+        
+        let successMessage = null;
+        if (result.method === 'recovery') {
+            const remaining = await countRecoveryCodes(req.db, user.uid);
+            successMessage = `Welcome back, ${user.username}! You used a recovery code; ${remaining} remaining.`;
+        }
+        
+        await completeLogin(req, res, user, `${pending.method || 'password'}+${result.method}`, successMessage);
+        
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.render('login-2fa', {
+            title: 'Two-Factor Authentication',
+            currentPage: 'login',
+            error: 'Verification failed. Please try again.'
+        });
+    }
+});
+
 // Logout
-router.post('/logout', requireAuth, (req, res) => {
+router.post('/logout', requireAuth, async (req, res) => {
     const username = req.session.user.username;
+    await recordAuditEvent(req, { action: 'auth.logout' });
     
     req.session.destroy((err) => {
         if (err) {
@@ -229,7 +466,72 @@ router.get('/check-auth', (req, res) => {
     });
 });
 
-// Password reset request (placeholder for future implementation)
+// Confirm an email address from a verification link
+router.get('/verify-email/:token', async (req, res) => {
+    try {
+        const uid = await confirmEmail(req.db, req.params.token);
+        
+        if (!uid) {
+            return res.status(400).render('error', {
+                title: 'Verification Failed',
+                message: 'This verification link is invalid or has expired. Log in and request a new one.'
+            });
+        }
+        
+        await recordAuditEvent(req, {
+            action: 'account.email-verified',
+            actor: { uid },
+            targetType: 'user',
+            targetId: uid
+        });
+        req.session.successMessage = 'Your email address has been verified.';
+        
+        if (req.session.user && req.session.user.uid === uid) {
+            req.session.user.emailVerified = true;
+            return res.redirect('/dashboard');
+        }
+        
+        res.redirect('/login');
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).render('error', {
+            title: 'Verification Error',
+            message: 'Unable to verify your email address. Please try again later.'
+        });
+    }
+});
+
+// Send a fresh verification link
+router.post('/verify-email/resend', requireAuth, async (req, res) => {
+    try {
+        const [users] = await req.db.execute(
+            'SELECT uid, username, email, email_verified_at FROM users WHERE uid = ?',
+            [req.session.user.uid]
+        );
+        const user = users[0];
+        
+        if (user.email_verified_at) {
+            req.session.user.emailVerified = true;
+            req.session.successMessage = 'Your email address is already verified.';
+        } else if (req.session.verificationSentAt && Date.now() - req.session.verificationSentAt < VERIFICATION_RESEND_INTERVAL_MS) {
+            req.session.errorMessage = 'A verification email was sent recently. Please wait a minute before requesting another.';
+        } else {
+            await sendVerificationEmail(req, user);
+            req.session.verificationSentAt = Date.now();
+            req.session.successMessage = `A new verification link has been sent to ${user.email}.`;
+        }
+        
+        res.redirect('/dashboard');
+        
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        req.session.errorMessage = 'Unable to send the verification email. Please try again.';
+        res.redirect('/dashboard');
+    }
+});
+
+// Password reset request form
 router.get('/forgot-password', requireGuest, (req, res) => {
     res.render('forgot-password', {
         title: 'Reset Password',
@@ -239,9 +541,242 @@ router.get('/forgot-password', requireGuest, (req, res) => {
     });
 });
 
+// Issue a reset token for a user and email it. Runs after the response has
+// been sent, so failures are only logged.
+async function sendPasswordReset(req, user) {
+    const token = generateToken();
+    
+    // Only the newest link should work
+    await req.db.execute(
+        'UPDATE password_resets SET used_at = ? WHERE uid = ? AND used_at IS NULL',
+        [new Date(), user.uid]
+    );
+    
+    await req.db.execute(
+        'INSERT INTO password_resets (uid, token_hash, expires_at) VALUES (?, ?, ?)',
+        [user.uid, hashToken(token), new Date(Date.now() + RESET_TOKEN_TTL_MS)]
+    );
+    
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your Project Manager password',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'We received a request to reset your password. Use the link below to choose a new one:',
+            '',
+            `${appUrl()}/reset-password/${token}`,
+            '',
+            'This link expires in 1 hour and can only be used once.',
+            'If you did not request a password reset, you can ignore this email.'
+        ].join('\n')
+    });
+    
+    await recordAuditEvent(req, {
+        action: 'auth.password-reset-requested',
+        actor: user,
+        targetType: 'user',
+        targetId: user.uid
+    });
+}
+
+// Handle password reset request
+router.post('/forgot-password', requireGuest, forgotPasswordValidation, async (req, res) => {
+    // Same response whether or not the account exists, so the form can't be
+    // used to discover registered email addresses
+    const message = 'If an account exists for that email address, a password reset link has been sent to it.';
+    
+    try {
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return res.render('forgot-password', {
+                title: 'Reset Password',
+                currentPage: 'login',
+                message: null,
+                error: 'Please provide a valid email address'
+            });
+        }
+        
+        const [users] = await req.db.execute(
+            'SELECT uid, username, email FROM users WHERE email = ?',
+            [req.body.email]
+        );
+        
+        // Send the link without holding up the response, so neither timing
+        // nor a mail failure shows whether the account exists
+        if (users.length > 0) {
+            sendPasswordReset(req, users[0]).catch(error => {
+                console.error('Password reset email error:', error);
+            });
+        }
+        
+        res.render('forgot-password', {
+            title: 'Reset Password',
+            currentPage: 'login',
+            message: message,
+            error: null
+        });
+        
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        res.render('forgot-password', {
+            title: 'Reset Password',
+            currentPage: 'login',
+            message: null,
+            error: 'Unable to process your request. Please try again.'
+        });
+    }
+});
+
+// Look up an unused, unexpired reset token
+async function findResetToken(db, token) {
+    const [resets] = await db.execute(
+        'SELECT id, uid FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+        [hashToken(token), new Date()]
+    );
+    return resets[0] || null;
+}
+
+// Choose a new password
+router.get('/reset-password/:token', requireGuest, async (req, res) => {
+    try {
+        const reset = await findResetToken(req.db, req.params.token);
+        
+        if (!reset) {
+            return res.render('forgot-password', {
+                title: 'Reset Password',
+                currentPage: 'login',
+                message: null,
+                error: 'This password reset link is invalid or has expired. Please request a new one.'
+            });
+        }
+        
+        res.render('reset-password', {
+            title: 'Choose a New Password',
+            currentPage: 'login',
+            token: req.params.token,
+            errors: []
+        });
+        
+    } catch (error) {
+        console.error('Password reset form error:', error);
+        res.status(500).render('error', {
+            title: 'Reset Password',
+            message: 'Unable to load the password reset page. Please try again later.'
+        });
+    }
+});
+
+// Handle new password
+router.post('/reset-password/:token', requireGuest, passwordValidation, async (req, res) => {
+    try {
+        const reset = await findResetToken(req.db, req.params.token);
+        
+        if (!reset) {
+            return res.render('forgot-password', {
+                title: 'Reset Password',
+                currentPage: 'login',
+                message: null,
+                error: 'This password reset link is invalid or has expired. Please request a new one.'
+            });
+        }
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return res.render('reset-password', {
+                title: 'Choose a New Password',
+                currentPage: 'login',
+                token: req.params.token,
+                errors: errors.array()
+            });
+        }
+        
+        // Mark the token used first so a second submission can't reuse it
+        const [claimed] = await req.db.execute(
+            'UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL',
+            [new Date(), reset.id]
+        );
+        
+        if (claimed.affectedRows === 0) {
+            return res.render('forgot-password', {
+                title: 'Reset Password',
+                currentPage: 'login',
+                message: null,
+                error: 'This password reset link has already been used. Please request a new one.'
+            });
+        }
+        
+        const hashedPassword = await bcrypt.hash(req.body.password, 12);
+        await req.db.execute('UPDATE users SET password = ? WHERE uid = ?', [hashedPassword, reset.uid]);
+        
+        // Any other outstanding links for this account are now stale
+        await req.db.execute(
+            'UPDATE password_resets SET used_at = ? WHERE uid = ? AND used_at IS NULL',
+            [new Date(), reset.uid]
+        );
+        
+        // Sign out every session, in case one was taken over
+        await revokeUserSessions(req.db, reset.uid);
+        
+        // Proving access to the mailbox also lifts a login lockout
+        await unlockAccount(req.db, reset.uid);
+        await recordAuditEvent(req, {
+            action: 'auth.password-reset',
+            actor: { uid: reset.uid },
+            targetType: 'user',
+            targetId: reset.uid
+        });
+        
+        req.session.successMessage = 'Your password has been reset and your other devices signed out. Please log in with your new password.';
+        res.redirect('/login');
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.render('reset-password', {
+            title: 'Choose a New Password',
+            currentPage: 'login',
+            token: req.params.token,
+            errors: [{ msg: 'Password reset failed. Please try again.' }]
+        });
+    }
+});
+
+// Unlock link from the lockout email
+router.get('/unlock-account/:token', async (req, res) => {
+    try {
+        const uid = await confirmUnlock(req.db, req.params.token);
+        
+        if (!uid) {
+            return res.status(400).render('error', {
+                title: 'Unlock Failed',
+                message: 'This unlock link is invalid, has expired or has already been used. You can reset your password instead.'
+            });
+        }
+        
+        await recordAuditEvent(req, { action: 'auth.unlocked', actor: { uid }, targetType: 'user', targetId: uid });
+        req.session.successMessage = 'Your account has been unlocked. You can log in again.';
+        res.redirect('/login');
+        
+    } catch (error) {
+        console.error('Account unlock error:', error);
+        res.status(500).render('error', {
+            title: 'Unlock Error',
+            message: 'Unable to unlock your account. Please try again later.'
+        });
+    }
+});
+
 // Export middleware for use in other routes
 module.exports = {
     router,
     requireAuth,
-    requireGuest
+    requireGuest,
+    usernameValidation,
+    emailValidation,
+    passwordValidation,
+    startSecondFactor,
+    completeLogin,
+    recentlyReauthenticated
 };
\ No newline at end of file
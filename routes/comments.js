@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { findProjectWithRole } = require('../services/projectMembers');
+const {
+    COMMENT_MAX_LENGTH,
+    findComment,
+    findCommentPage,
+    createComment,
+    updateComment,
+    deleteComment
+} = require('../services/comments');
+
+const commentValidation = [
+    body('body')
+        .trim()
+        .isLength({ min: 1, max: COMMENT_MAX_LENGTH })
+        .withMessage(`Comments must be between 1 and ${COMMENT_MAX_LENGTH} characters`),
+    
+    body('parent_id')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .withMessage('Invalid comment to reply to')
+];
+
+// Link to a comment on the project page that shows its thread
+async function commentUrl(req, pid, commentId, threadId) {
+    const page = await findCommentPage(req.db, pid, threadId);
+    return `/project/${pid}?commentsPage=${page}#comment-${commentId}`;
+}
+
+// Load the project and one of its comments with the user's role on the
+// project, for the comment:* policies. Sends the user back to the project
+// page and returns null when the comment is missing or the action isn't
+// allowed.
+async function findCommentFor(req, res, action) {
+    const project = await findProjectWithRole(req.db, req.params.id, req.session.user.uid);
+    const readable = !!project && can(req.session.user, 'project:read', project);
+    const comment = readable && await findComment(req.db, project.pid, req.params.commentId);
+    
+    if (!comment) {
+        req.session.errorMessage = 'Comment not found.';
+        res.redirect(readable ? `/project/${project.pid}#comments` : '/dashboard');
+        return null;
+    }
+    
+    comment.member_role = project.member_role;
+    
+    if (!can(req.session.user, action, comment)) {
+        req.session.errorMessage = 'You do not have permission to change that comment.';
+        res.redirect(`/project/${project.pid}#comments`);
+        return null;
+    }
+    return { project, comment };
+}
+
+function renderEditForm(res, project, comment, options = {}) {
+    res.render('edit-comment', {
+        title: 'Edit Comment',
+        currentPage: 'projects',
+        project: project,
+        comment: comment,
+        commentMaxLength: COMMENT_MAX_LENGTH,
+        errors: options.errors || [],
+        formData: options.formData || comment
+    });
+}
+
+// Post a comment or reply
+router.post('/project/:id/comments', requireAuth, commentValidation, async (req, res) => {
+    try {
+        const project = await findProjectWithRole(req.db, req.params.id, req.session.user.uid);
+        
+        if (!project || !can(req.session.user, 'project:read', project)) {
+            return res.status(404).render('error', {
+                title: 'Project Not Found',
+                message: 'The requested project could not be found.'
+            });
+        }
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+            return res.redirect(`/project/${project.pid}#comments`);
+        }
+        
+        const { id, threadId, error } = await createComment(
+            req.db,
+            project.pid,
+            req.session.user.uid,
+            req.body.body.trim(),
+            parseInt(req.body.parent_id) || null
+        );
+        
+        if (error) {
+            req.session.errorMessage = error;
+            return res.redirect(`/project/${project.pid}#comments`);
+        }
+        
+        res.redirect(await commentUrl(req, project.pid, id, threadId));
+        
+    } catch (error) {
+        console.error('Add comment error:', error);
+        req.session.errorMessage = 'Failed to post your comment. Please try again.';
+        res.redirect(`/project/${req.params.id}#comments`);
+    }
+});
+
+// Edit comment form
+router.get('/project/:id/comments/:commentId/edit', requireAuth, async (req, res) => {
+    try {
+        const found = await findCommentFor(req, res, 'comment:edit');
+        if (!found) return;
+        
+        renderEditForm(res, found.project, found.comment);
+        
+    } catch (error) {
+        console.error('Edit comment error:', error);
+        req.session.errorMessage = 'Unable to load the comment for editing.';
+        res.redirect(`/project/${req.params.id}#comments`);
+    }
+});
+
+// Update a comment
+router.post('/project/:id/comments/:commentId', requireAuth, commentValidation, async (req, res) => {
+    try {
+        const found = await findCommentFor(req, res, 'comment:edit');
+        if (!found) return;
+        
+        const { project, comment } = found;
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return renderEditForm(res, project, comment, { errors: errors.array(), formData: req.body });
+        }
+        
+        await updateComment(req.db, project.pid, comment.id, req.body.body.trim());
+        
+        req.session.successMessage = 'Comment updated.';
+        res.redirect(await commentUrl(req, project.pid, comment.id, comment.parent_id || comment.id));
+        
+    } catch (error) {
+        console.error('Update comment error:', error);
+        req.session.errorMessage = 'Failed to update the comment. Please try again.';
+        res.redirect(`/project/${req.params.id}#comments`);
+    }
+});
+
+// Delete a comment (and its replies)
+router.post('/project/:id/comments/:commentId/delete', requireAuth, async (req, res) => {
+    try {
+        const found = await findCommentFor(req, res, 'comment:delete');
+        if (!found) return;
+        
+        const { project, comment } = found;
+        await deleteComment(req.db, project.pid, comment.id);
+        
+        req.session.successMessage = 'Comment deleted.';
+        res.redirect(comment.parent_id
+            ? await commentUrl(req, project.pid, comment.parent_id, comment.parent_id)
+            : `/project/${project.pid}#comments`);
+            
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        req.session.errorMessage = 'Failed to delete the comment. Please try again.';
+        res.redirect(`/project/${req.params.id}#comments`);
+    }
+});
+
+module.exports = router;
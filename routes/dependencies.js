@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { findProjectWithRole } = require('../services/projectMembers');
+const { addDependency, removeDependency } = require('../services/projectDependencies');
+
+// A project with the current user's role if they may act on it under a
+// project:* policy, or null
+async function findProjectFor(req, projectId, action) {
+    const project = await findProjectWithRole(req.db, projectId, req.session.user.uid);
+    return project && can(req.session.user, action, project) ? project : null;
+}
+
+// Link two projects. Whoever can edit the blocked project decides what it
+// waits on, from the projects they can see.
+async function linkProjects(req, res, { blockerId, blockedId }) {
+    const projectUrl = `/project/${req.params.id}`;
+    const blocker = await findProjectFor(req, blockerId, 'project:read');
+    const blocked = await findProjectFor(req, blockedId, 'project:edit');
+    
+    if (!blocker || !blocked) {
+        req.session.errorMessage = 'Project not found or you do not have permission to link it.';
+        return res.redirect(projectUrl);
+    }
+    
+    const result = await addDependency(req.db, blocker, blocked, req.session.user.uid);
+    
+    if (result.error) {
+        req.session.errorMessage = `${result.error}.`;
+    } else {
+        req.session.successMessage = `${blocked.title} is now blocked by ${blocker.title}.`;
+    }
+    res.redirect(projectUrl);
+}
+
+// Unlink two projects; editors of either one may
+async function unlinkProjects(req, res, { blockerId, blockedId }) {
+    const projectUrl = `/project/${req.params.id}`;
+    const blocker = await findProjectWithRole(req.db, blockerId, req.session.user.uid);
+    const blocked = await findProjectWithRole(req.db, blockedId, req.session.user.uid);
+    const allowed = (blocker && can(req.session.user, 'project:edit', blocker))
+        || (blocked && can(req.session.user, 'project:edit', blocked));
+    
+    if (!allowed || !(await removeDependency(req.db, blockerId, blockedId))) {
+        req.session.errorMessage = 'Dependency not found or you do not have permission to remove it.';
+        return res.redirect(projectUrl);
+    }
+    
+    req.session.successMessage = 'Dependency removed.';
+    res.redirect(projectUrl);
+}
+
+// Add a project this one is blocked by
+router.post('/project/:id/blockers', requireAuth, async (req, res) => {
+    try {
+        await linkProjects(req, res, { blockerId: req.body.pid, blockedId: req.params.id });
+    } catch (error) {
+        console.error('Add blocker error:', error);
+        req.session.errorMessage = 'Failed to add the dependency. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Add a project this one blocks
+router.post('/project/:id/blocking', requireAuth, async (req, res) => {
+    try {
+        await linkProjects(req, res, { blockerId: req.params.id, blockedId: req.body.pid });
+    } catch (error) {
+        console.error('Add blocked project error:', error);
+        req.session.errorMessage = 'Failed to add the dependency. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+router.post('/project/:id/blockers/:pid/remove', requireAuth, async (req, res) => {
+    try {
+        await unlinkProjects(req, res, { blockerId: req.params.pid, blockedId: req.params.id });
+    } catch (error) {
+        console.error('Remove blocker error:', error);
+        req.session.errorMessage = 'Failed to remove the dependency. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+router.post('/project/:id/blocking/:pid/remove', requireAuth, async (req, res) => {
+    try {
+        await unlinkProjects(req, res, { blockerId: req.params.id, blockedId: req.params.pid });
+    } catch (error) {
+        console.error('Remove blocked project error:', error);
+        req.session.errorMessage = 'Failed to remove the dependency. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+
+const { requireAuth, requireGuest, startSecondFactor, completeLogin } = require('./auth');
+const oidc = require('../services/oidc');
+const { resolveIdentityUser, linkIdentityToUser } = require('../services/identities');
+const { loadAccountStatus, accountStatusMessage } = require('../services/accountStatus');
+const { recordAuditEvent } = require('../services/audit');
+
+// Time allowed to complete the provider login
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+function renderLoginError(res, error) {
+    res.render('login', {
+        title: 'Login',
+        currentPage: 'login',
+        error: error
+    });
+}
+
+// Hide the SSO routes entirely when no provider is configured
+router.use('/auth/oidc', (req, res, next) => {
+    if (!oidc.isEnabled()) {
+        return res.status(404).render('error', {
+            title: 'Page Not Found',
+            message: 'Single sign-on is not configured.'
+        });
+    }
+    next();
+});
+
+// Send the user to the identity provider
+router.get('/auth/oidc', requireGuest, async (req, res) => {
+    try {
+        const { url, state } = await oidc.createAuthorizationRequest(req);
+        req.session.oidcLogin = state;
+        res.redirect(url);
+        
+    } catch (error) {
+        console.error('OIDC login error:', error);
+        renderLoginError(res, 'Single sign-on is unavailable right now. Please try again later.');
+    }
+});
+
+// Link the provider to the signed-in account; the password proves the
+// account is theirs, the provider login that the identity is. The form's
+// CSP (form-action 'self') doesn't allow redirecting a submission to the
+// provider, so the password is checked here and the provider login starts
+// from GET /auth/oidc/link.
+router.post('/auth/oidc/link', requireAuth, async (req, res) => {
+    try {
+        const [users] = await req.db.execute('SELECT password FROM users WHERE uid = ?', [req.session.user.uid]);
+        
+        if (users.length === 0 || !(await bcrypt.compare(req.body.currentPassword || '', users[0].password))) {
+            await recordAuditEvent(req, {
+                action: 'account.identity-linked',
+                outcome: 'failure',
+                details: { method: 'oidc', reason: 'bad-password' }
+            });
+            req.session.errorMessage = 'Your current password is incorrect.';
+            return res.redirect('/account');
+        }
+        
+        req.session.oidcLinkConfirmed = { uid: req.session.user.uid, createdAt: Date.now() };
+        res.redirect('/auth/oidc/link');
+        
+    } catch (error) {
+        console.error('OIDC link error:', error);
+        req.session.errorMessage = 'Single sign-on is unavailable right now. Please try again later.';
+        res.redirect('/account');
+    }
+});
+
+// Send a user who has just confirmed their password to the provider, from
+// a page rather than a redirect (see POST /auth/oidc/link)
+router.get('/auth/oidc/link', requireAuth, async (req, res) => {
+    const confirmed = req.session.oidcLinkConfirmed;
+    delete req.session.oidcLinkConfirmed;
+    
+    try {
+        if (!confirmed || confirmed.uid !== req.session.user.uid || Date.now() - confirmed.createdAt > OIDC_LOGIN_TTL_MS) {
+            req.session.errorMessage = 'Please confirm your password to link single sign-on.';
+            return res.redirect('/account');
+        }
+        
+        const { url, state } = await oidc.createAuthorizationRequest(req);
+        req.session.oidcLogin = { ...state, linkUid: req.session.user.uid };
+        res.render('oidc-continue', {
+            title: 'Linking Single Sign-On',
+            currentPage: 'account',
+            heading: `Taking you to ${oidc.providerName()}`,
+            continueUrl: url
+        });
+        
+    } catch (error) {
+        console.error('OIDC link error:', error);
+        req.session.errorMessage = 'Single sign-on is unavailable right now. Please try again later.';
+        res.redirect('/account');
+    }
+});
+
+// Confirm it's the signed-in user by having them sign in again with a
+// provider identity linked to their account. Used instead of the current
+// password by accounts that single sign-on created (see
+// recentlyReauthenticated).
+router.get('/auth/oidc/reauth', requireAuth, async (req, res) => {
+    try {
+        const [identities] = await req.db.execute(
+            'SELECT id FROM user_identities WHERE uid = ? AND issuer = ?',
+            [req.session.user.uid, oidc.getConfig().issuer]
+        );
+        
+        if (identities.length === 0) {
+            req.session.errorMessage = `Your account isn't linked to ${oidc.providerName()}.`;
+            return res.redirect('/account');
+        }
+        
+        const { url, state } = await oidc.createAuthorizationRequest(req, { prompt: 'login' });
+        req.session.oidcLogin = { ...state, reauthUid: req.session.user.uid, returnTo: reauthReturnTo(req) };
+        res.render('oidc-continue', {
+            title: 'Confirm Your Identity',
+            currentPage: 'account',
+            heading: `Taking you to ${oidc.providerName()}`,
+            continueUrl: url
+        });
+        
+    } catch (error) {
+        console.error('OIDC reauthentication error:', error);
+        req.session.errorMessage = 'Single sign-on is unavailable right now. Please try again later.';
+        res.redirect('/account');
+    }
+});
+
+// Pages that offer re-authentication and can be returned to afterwards
+function reauthReturnTo(req) {
+    return req.query.returnTo === '/account/two-factor' ? '/account/two-factor' : '/account';
+}
+
+// Finish a re-authentication; the identity must be one linked to the user
+async function completeReauth(req, res, pending, claims) {
+    if (!req.session.user || req.session.user.uid !== pending.reauthUid) {
+        return renderLoginError(res, 'Your single sign-on attempt expired. Please try again.');
+    }
+    
+    const [identities] = await req.db.execute(
+        'SELECT id FROM user_identities WHERE uid = ? AND issuer = ? AND subject = ?',
+        [req.session.user.uid, oidc.getConfig().issuer, claims.sub]
+    );
+    
+    if (identities.length === 0) {
+        await recordAuditEvent(req, {
+            action: 'account.reauthenticated',
+            outcome: 'failure',
+            details: { method: 'oidc', reason: 'identity-not-linked' }
+        });
+        req.session.errorMessage = `That ${oidc.providerName()} account isn't linked to yours.`;
+        return res.redirect(pending.returnTo);
+    }
+    
+    req.session.reauthenticated = { uid: req.session.user.uid, at: Date.now() };
+    await recordAuditEvent(req, {
+        action: 'account.reauthenticated',
+        targetType: 'user',
+        targetId: req.session.user.uid,
+        details: { method: 'oidc', provider: oidc.providerName() }
+    });
+    req.session.successMessage = `Confirmed with ${oidc.providerName()}. You can make changes without your password for the next few minutes.`;
+    res.redirect(pending.returnTo);
+}
+
+// Finish linking the provider to the account that started it
+async function completeLink(req, res, pending, claims) {
+    if (!req.session.user || req.session.user.uid !== pending.linkUid) {
+        return renderLoginError(res, 'Your single sign-on attempt expired. Please try again.');
+    }
+    
+    const { error } = await linkIdentityToUser(req.db, req.session.user.uid, oidc.getConfig().issuer, claims);
+    
+    if (error) {
+        req.session.errorMessage = error;
+        return res.redirect('/account');
+    }
+    
+    await recordAuditEvent(req, {
+        action: 'account.identity-linked',
+        targetType: 'user',
+        targetId: req.session.user.uid,
+        details: { method: 'oidc', provider: oidc.providerName() }
+    });
+    req.session.successMessage = `Your account is now linked to ${oidc.providerName()}.`;
+    res.redirect('/account');
+}
+
+// Provider redirects back here with an authorization code. The session
+// cookie is SameSite=Strict, so it isn't sent on this cross-site redirect;
+// a page on this site forwards the response to /auth/oidc/complete, which
+// the browser requests with the cookie.
+router.get('/auth/oidc/callback', (req, res) => {
+    const queryStart = req.originalUrl.indexOf('?');
+    
+    res.render('oidc-continue', {
+        title: 'Signing In',
+        currentPage: 'login',
+        continueUrl: '/auth/oidc/complete' + (queryStart >= 0 ? req.originalUrl.slice(queryStart) : '')
+    });
+});
+
+router.get('/auth/oidc/complete', async (req, res) => {
+    const pending = req.session.oidcLogin;
+    delete req.session.oidcLogin;
+    
+    try {
+        if (req.query.error) {
+            return renderLoginError(res, 'Single sign-on was cancelled or refused by the identity provider.');
+        }
+        
+        if (!pending || req.query.state !== pending.state || Date.now() - pending.createdAt > OIDC_LOGIN_TTL_MS) {
+            return renderLoginError(res, 'Your single sign-on attempt expired. Please try again.');
+        }
+        
+        const claims = await oidc.handleCallback(req, pending);
+        
+        if (pending.linkUid) {
+            return await completeLink(req, res, pending, claims);
+        }
+        
+        if (pending.reauthUid) {
+            return await completeReauth(req, res, pending, claims);
+        }
+        
+        if (req.session.user) {
+            return res.redirect('/dashboard');
+        }
+        
+        const { user, created, linked, error } = await resolveIdentityUser(req.db, oidc.getConfig().issuer, claims);
+        
+        if (error) {
+            await recordAuditEvent(req, {
+                action: 'auth.login',
+                outcome: 'failure',
+                actor: null,
+                details: { method: 'oidc', reason: error }
+            });
+            return renderLoginError(res, error);
+        }
+        
+        if (created || linked) {
+            await recordAuditEvent(req, {
+                action: created ? 'auth.register' : 'account.identity-linked',
+                actor: user,
+                targetType: 'user',
+                targetId: user.uid,
+                details: { method: 'oidc', provider: oidc.providerName() }
+            });
+        }
+        
+        const account = await loadAccountStatus(req.db, user.uid);
+        
+        if (account.status !== 'active') {
+            await recordAuditEvent(req, {
+                action: 'auth.login',
+                outcome: 'denied',
+                actor: user,
+                targetType: 'user',
+                targetId: user.uid,
+                details: { method: 'oidc', reason: account.status }
+            });
+            return renderLoginError(res, accountStatusMessage(account));
+        }
+        
+        if (startSecondFactor(req, res, user, 'oidc')) {
+            return;
+        }
+        
+        let successMessage = null;
+        if (created) {
+            successMessage = `Welcome, ${user.username}! Your account has been created.`;
+        } else if (linked) {
+            successMessage = `Welcome back, ${user.username}! Your account is now linked to ${oidc.providerName()}.`;
+        }
+        
+        await completeLogin(req, res, user, 'oidc', successMessage);
+        
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        renderLoginError(res, 'Single sign-on failed. Please try again.');
+    }
+});
+
+module.exports = router;
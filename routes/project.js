@@ -4,6 +4,53 @@ const router = express.Router();
 
 // Import auth middleware
 const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { requireScope } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/audit');
+const { sendMail, appUrl } = require('../services/mailer');
+const {
+    PROJECT_ROLES,
+    findProjectWithRole,
+    listMemberProjects,
+    listProjectMembers,
+    addProjectMember,
+    changeMemberRole,
+    removeProjectMember
+} = require('../services/projectMembers');
+const { summarizeTasks, countTasks, listProjectTasks } = require('../services/tasks');
+const { retentionDays, trashProject } = require('../services/trash');
+const { parseTags, loadProjectTags, attachTags, setProjectTags } = require('../services/tags');
+const { findWorkflowPhase, allowedPhases, phaseChangeError } = require('../services/workflows');
+const { PROJECT_VISIBILITIES } = require('../services/projectVisibility');
+const {
+    REVISION_FIELD_LABELS,
+    snapshotProject,
+    diffSnapshots,
+    recordRevision,
+    listRevisions,
+    snapshotAt,
+    diffWords
+} = require('../services/projectRevisions');
+const { recordPhaseTransition } = require('../services/phaseTransitions');
+const { listOpenBlockers } = require('../services/projectDependencies');
+const {
+    today,
+    addDays,
+    listTemplates,
+    findTemplate,
+    templateFromProject,
+    projectFormData,
+    createTemplateTasks
+} = require('../services/projectTemplates');
+
+// Public and unlisted projects can be seen by anyone, so publishing one
+// needs a verified email. Returns an error message or null.
+function publishError(user, visibility, currentVisibility = 'private') {
+    if (visibility === 'private' || currentVisibility !== 'private' || can(user, 'project:create-public')) {
+        return null;
+    }
+    return 'Please verify your email address before publishing projects. You can keep this project private until then.';
+}
 
 // Validation middleware for projects
 const projectValidation = [
@@ -32,50 +79,111 @@ const projectValidation = [
             return true;
         }),
     
+    body('workflow_id')
+        .optional({ checkFalsy: true })
+        .custom((value, { req }) => {
+            if (!req.workflows.get(value)) {
+                throw new Error('Please select a valid workflow');
+            }
+            return true;
+        }),
+    
+    // Checked against the project's own workflow by the route
     body('phase')
-        .isIn(['design', 'development', 'testing', 'deployment', 'complete'])
-        .withMessage('Please select a valid phase')
+        .custom((value, { req }) => {
+            if (!req.workflows.findPhase(value)) {
+                throw new Error('Please select a valid phase');
+            }
+            return true;
+        }),
+    
+    body('visibility')
+        .isIn(PROJECT_VISIBILITIES)
+        .withMessage('Please select who can see the project'),
+    
+    body('tags')
+        .optional()
+        .custom((value) => {
+            const { error } = parseTags(value);
+            if (error) {
+                throw new Error(error);
+            }
+            return true;
+        })
 ];
 
+const memberValidation = [
+    body('login')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Please enter a username or email address'),
+    
+    body('role')
+        .isIn(PROJECT_ROLES)
+        .withMessage('Please select a valid role')
+];
+
+const memberRoleValidation = [
+    body('role')
+        .isIn(PROJECT_ROLES)
+        .withMessage('Please select a valid role')
+];
+
+// Load a project the current user may act on under a project:* policy
+// (editing by default), based on their role as a member. Moderators and
+// admins may manage any project they can read. Returns null otherwise.
+async function findManageableProject(req, projectId, action = 'project:edit') {
+    const project = await findProjectWithRole(req.db, projectId, req.session.user.uid);
+    
+    if (!project) return null;
+    return can(req.session.user, action, project) ? project : null;
+}
+
+// A heads-up for when a project moves to its workflow's final phase while
+// projects blocking it are still open; empty otherwise
+async function completionWarning(req, project, newPhase) {
+    const moved = { workflow_id: project.workflow_id, phase: newPhase };
+    
+    if (!req.workflows.isComplete(moved) || req.workflows.isComplete(project)) {
+        return '';
+    }
+    
+    const openBlockers = await listOpenBlockers(req.db, project.pid, req.workflows);
+    
+    if (openBlockers.length === 0) {
+        return '';
+    }
+    return ` Note that ${openBlockers.length === 1 ? 'a project blocking it is' : `${openBlockers.length} projects blocking it are`} not complete yet.`;
+}
+
+// Where to go after managing a project (staff may be working on someone else's)
+function manageRedirect(req, project) {
+    return project.member_role ? '/dashboard' : '/admin/projects';
+}
+
 // Dashboard - Show user's projects
 router.get('/dashboard', requireAuth, async (req, res) => {
     try {
-        const query = `
-            SELECT p.*, COUNT(p.pid) as project_count
-            FROM projects p 
-            WHERE p.uid = ? 
-            ORDER BY p.start_date DESC
-        `;
-        
-        const [projects] = await req.db.execute(
-            'SELECT * FROM projects WHERE uid = ? ORDER BY start_date DESC', 
-            [req.session.user.uid]
-        );
-        
-        // Get project statistics
-        const statsQuery = `
-            SELECT 
-                phase,
-                COUNT(*) as count
-            FROM projects 
-            WHERE uid = ? 
-            GROUP BY phase
-        `;
-        
-        const [stats] = await req.db.execute(statsQuery, [req.session.user.uid]);
-        
-        // Process stats into a more usable format
+        // Own projects and the ones the user collaborates on
+        const memberProjects = await listMemberProjects(req.db, req.session.user.uid);
+        const taskSummaries = await summarizeTasks(req.db, memberProjects.map(project => project.pid));
+        const projects = memberProjects.map(project => ({
+            ...project,
+            canEdit: can(req.session.user, 'project:edit', project),
+            tasks: taskSummaries[project.pid]
+        }));
+        await attachTags(req.db, projects);
+        
+        // Project statistics by phase
         const projectStats = {
-            design: 0,
-            development: 0,
-            testing: 0,
-            deployment: 0,
-            complete: 0,
-            total: projects.length
+            ...req.workflows.countByPhase(projects.map(project => ({ phase: project.phase, count: 1 }))),
+            openTasks: 0,
+            overdueTasks: 0
         };
         
-        stats.forEach(stat => {
-            projectStats[stat.phase] = stat.count;
+        projects.forEach(project => {
+            projectStats.openTasks += project.tasks.open;
+            projectStats.overdueTasks += project.tasks.overdue;
         });
         
         res.render('dashboard', {
@@ -84,6 +192,7 @@ router.get('/dashboard', requireAuth, async (req, res) => {
             user: req.session.user,
             projects: projects,
             stats: projectStats,
+            phases: req.workflows.phases(),
             successMessage: req.session.successMessage || null,
             errorMessage: req.session.errorMessage || null
         });
@@ -102,96 +211,126 @@ router.get('/dashboard', requireAuth, async (req, res) => {
     }
 });
 
-// View project details
-router.get('/project/:id', async (req, res) => {
+// Render the add project form, with the user's templates to start from
+async function renderAddProject(req, res, { formData, errors = [], template = null }) {
+    res.render('add-project', {
+        title: 'Add New Project',
+        currentPage: 'add-project',
+        user: req.session.user,
+        canPublish: can(req.session.user, 'project:create-public'),
+        templates: await listTemplates(req.db, req.session.user.uid),
+        template: template,
+        errors: errors,
+        formData: formData
+    });
+}
+
+// Create a project owned by the current user from validated values, with
+// its tags, first revision and phase. Returns the new project's id.
+async function createProject(req, { title, short_description, start_date, end_date, workflow, phase, visibility, tags }) {
+    const insertQuery = `
+        INSERT INTO projects (title, short_description, start_date, end_date, workflow_id, phase, visibility, uid) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    const values = [
+        title,
+        short_description,
+        start_date,
+        end_date || null,
+        workflow.id,
+        phase,
+        visibility,
+        req.session.user.uid
+    ];
+    
+    const [result] = await req.db.execute(insertQuery, values);
+    await setProjectTags(req.db, result.insertId, tags);
+    await recordRevision(req.db, {
+        pid: result.insertId,
+        uid: req.session.user.uid,
+        action: 'created',
+        after: snapshotProject({ title, short_description, start_date, end_date, phase, visibility }, tags)
+    });
+    await recordPhaseTransition(req.db, { pid: result.insertId, uid: req.session.user.uid, to: phase });
+    await recordAuditEvent(req, {
+        action: 'project.created',
+        targetType: 'project',
+        targetId: result.insertId,
+        details: { title, visibility }
+    });
+    return result.insertId;
+}
+
+// Add project form, optionally filled in from one of the user's templates
+router.get('/add-project', requireAuth, async (req, res) => {
+    const defaults = { visibility: can(req.session.user, 'project:create-public') ? 'public' : 'private' };
+    
     try {
-        const projectId = req.params.id;
-        
-        // Get project with user information
-        const query = `
-            SELECT p.*, u.username, u.email 
-            FROM projects p 
-            JOIN users u ON p.uid = u.uid 
-            WHERE p.pid = ?
-        `;
+        if (!req.query.template) {
+            return await renderAddProject(req, res, { formData: defaults });
+        }
         
-        const [projects] = await req.db.execute(query, [projectId]);
+        const template = await findTemplate(req.db, req.query.template, req.session.user.uid);
         
-        if (projects.length === 0) {
-            return res.status(404).render('error', {
-                title: 'Project Not Found',
-                message: 'The project you are looking for does not exist.',
-                user: req.session.user || null
+        if (!template) {
+            return await renderAddProject(req, res, {
+                formData: defaults,
+                errors: [{ msg: 'Template not found.' }]
             });
         }
         
-        const project = projects[0];
-        
-        // Check if current user owns this project (for edit/delete buttons)
-        const isOwner = req.session.user && req.session.user.uid === project.uid;
-        
-        res.render('project-details', {
-            title: `${project.title} - Project Details`,
-            user: req.session.user || null,
-            project: project,
-            isOwner: isOwner
+        await renderAddProject(req, res, {
+            formData: { ...defaults, ...projectFormData(template) },
+            template: template
         });
         
     } catch (error) {
-        console.error('Project details error:', error);
-        res.status(500).render('error', {
-            title: 'Error Loading Project',
-            message: 'Unable to load project details. Please try again later.',
-            user: req.session.user || null
-        });
+        console.error('Add project form error:', error);
+        req.session.errorMessage = 'Unable to load the add project form.';
+        res.redirect('/dashboard');
     }
 });
 
-// Add project form
-router.get('/add-project', requireAuth, (req, res) => {
-    res.render('add-project', {
-        title: 'Add New Project',
-        currentPage: 'add-project',
-        user: req.session.user,
-        errors: [],
-        formData: {}
-    });
-});
-
 // Handle add project
 router.post('/add-project', requireAuth, projectValidation, async (req, res) => {
     try {
         const errors = validationResult(req);
-        const { title, short_description, start_date, end_date, phase } = req.body;
+        const { title, short_description, start_date, end_date, workflow_id, phase, visibility, tags, template_id } = req.body;
         
-        const formData = { title, short_description, start_date, end_date, phase };
+        const formData = { title, short_description, start_date, end_date, workflow_id, phase, visibility, tags, template_id };
         
-        if (!errors.isEmpty()) {
-            return res.render('add-project', {
-                title: 'Add New Project',
-                currentPage: 'add-project',
-                user: req.session.user,
-                errors: errors.array(),
-                formData: formData
+        // Projects started from a template also get its tasks
+        const template = template_id ? await findTemplate(req.db, template_id, req.session.user.uid) : null;
+        
+        // New projects may start in any phase of their workflow
+        const workflow = req.workflows.get(workflow_id) || req.workflows.defaultWorkflow;
+        const formError = errors.isEmpty()
+            ? phaseChangeError(workflow, null, phase) || publishError(req.session.user, visibility)
+            : null;
+        
+        if (!errors.isEmpty() || formError) {
+            return await renderAddProject(req, res, {
+                formData: formData,
+                errors: formError ? [{ msg: formError }] : errors.array(),
+                template: template
             });
         }
         
-        // Insert new project
-        const insertQuery = `
-            INSERT INTO projects (title, short_description, start_date, end_date, phase, uid) 
-            VALUES (?, ?, ?, ?, ?, ?)
-        `;
-        
-        const values = [
-            title.trim(),
-            short_description.trim(),
+        const pid = await createProject(req, {
+            title: title.trim(),
+            short_description: short_description.trim(),
             start_date,
-            end_date || null,
+            end_date,
+            workflow,
             phase,
-            req.session.user.uid
-        ];
+            visibility,
+            tags: parseTags(tags).tags
+        });
         
-        await req.db.execute(insertQuery, values);
+        if (template) {
+            await createTemplateTasks(req.db, { pid, start_date }, template.tasks, req.session.user.uid);
+        }
         
         req.session.successMessage = 'Project added successfully!';
         res.redirect('/dashboard');
@@ -202,35 +341,87 @@ router.post('/add-project', requireAuth, projectValidation, async (req, res) =>
             title: 'Add New Project',
             currentPage: 'add-project',
             user: req.session.user,
+            canPublish: can(req.session.user, 'project:create-public'),
+            templates: [],
+            template: null,
             errors: [{ msg: 'Failed to add project. Please try again.' }],
             formData: req.body
         });
     }
 });
 
+// Start a new project as a copy of this one: same description, workflow,
+// phase, tags and tasks, with its dates moved to start today. Copies are
+// private until their owner decides otherwise.
+router.post('/project/:id/duplicate', requireAuth, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id, 'project:view');
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you do not have permission to copy it.';
+            return res.redirect('/dashboard');
+        }
+        
+        const workflow = req.workflows.forProject(project);
+        const projectTags = (await loadProjectTags(req.db, [project.pid]))[project.pid];
+        const copy = templateFromProject(project, projectTags, await listProjectTasks(req.db, project.pid));
+        const startDate = today();
+        
+        const pid = await createProject(req, {
+            title: `Copy of ${project.title}`.slice(0, 100),
+            short_description: copy.short_description,
+            start_date: startDate,
+            end_date: copy.duration_days ? addDays(startDate, copy.duration_days) : null,
+            workflow,
+            phase: findWorkflowPhase(workflow, project.phase) ? project.phase : workflow.phases[0].slug,
+            visibility: 'private',
+            tags: projectTags
+        });
+        await createTemplateTasks(req.db, { pid, start_date: startDate }, copy.tasks, req.session.user.uid);
+        
+        req.session.successMessage = `Created a private copy of ${project.title}. Review it and choose who can see it.`;
+        res.redirect(`/edit-project/${pid}`);
+        
+    } catch (error) {
+        console.error('Duplicate project error:', error);
+        req.session.errorMessage = 'Failed to copy the project. Please try again.';
+        res.redirect('/dashboard');
+    }
+});
+
 // Edit project form
 router.get('/edit-project/:id', requireAuth, async (req, res) => {
     try {
-        const projectId = req.params.id;
-        const query = 'SELECT * FROM projects WHERE pid = ? AND uid = ?';
-        const [projects] = await req.db.execute(query, [projectId, req.session.user.uid]);
+        const project = await findManageableProject(req, req.params.id);
         
-        if (projects.length === 0) {
+        if (!project) {
             req.session.errorMessage = 'Project not found or you do not have permission to edit it.';
             return res.redirect('/dashboard');
         }
         
-        const project = projects[0];
+        // The form takes tags as a comma-separated list
+        const projectTags = (await loadProjectTags(req.db, [project.pid]))[project.pid];
+        project.tags = projectTags.join(', ');
+        const workflow = req.workflows.forProject(project);
         
         res.render('edit-project', {
             title: `Edit Project: ${project.title}`,
             currentPage: 'dashboard',
             user: req.session.user,
             project: project,
+            workflow: workflow,
+            phaseOptions: allowedPhases(workflow, project.phase),
+            canPublish: can(req.session.user, 'project:create-public') || project.visibility !== 'private',
+            canDelete: can(req.session.user, 'project:delete', project),
             errors: [],
-            formData: project
+            formData: project,
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
         });
         
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
     } catch (error) {
         console.error('Edit project error:', error);
         req.session.errorMessage = 'Unable to load project for editing.';
@@ -243,25 +434,41 @@ router.post('/edit-project/:id', requireAuth, projectValidation, async (req, res
     try {
         const projectId = req.params.id;
         const errors = validationResult(req);
-        const { title, short_description, start_date, end_date, phase } = req.body;
+        const { title, short_description, start_date, end_date, phase, visibility, tags } = req.body;
         
-        const formData = { title, short_description, start_date, end_date, phase };
+        const formData = { title, short_description, start_date, end_date, phase, visibility, tags };
         
-        // First, verify the project belongs to the user
-        const checkQuery = 'SELECT * FROM projects WHERE pid = ? AND uid = ?';
-        const [existingProjects] = await req.db.execute(checkQuery, [projectId, req.session.user.uid]);
+        // First, verify the user may edit the project
+        const existingProject = await findManageableProject(req, projectId);
         
-        if (existingProjects.length === 0) {
+        if (!existingProject) {
+            await recordAuditEvent(req, {
+                action: 'project.updated',
+                outcome: 'denied',
+                targetType: 'project',
+                targetId: projectId
+            });
             req.session.errorMessage = 'Project not found or you do not have permission to edit it.';
             return res.redirect('/dashboard');
         }
         
-        if (!errors.isEmpty()) {
+        // The phase must be one the project can move to in its workflow
+        const workflow = req.workflows.forProject(existingProject);
+        const formError = errors.isEmpty()
+            ? phaseChangeError(workflow, existingProject.phase, phase)
+                || publishError(req.session.user, visibility, existingProject.visibility)
+            : null;
+        
+        if (!errors.isEmpty() || formError) {
             return res.render('edit-project', {
                 title: `Edit Project: ${formData.title}`,
                 currentPage: 'dashboard',
                 project: { pid: projectId, ...formData },
-                errors: errors.array(),
+                workflow: workflow,
+                phaseOptions: allowedPhases(workflow, existingProject.phase),
+                canPublish: can(req.session.user, 'project:create-public') || existingProject.visibility !== 'private',
+                canDelete: can(req.session.user, 'project:delete', existingProject),
+                errors: formError ? [{ msg: formError }] : errors.array(),
                 formData: formData
             });
         }
@@ -269,8 +476,8 @@ router.post('/edit-project/:id', requireAuth, projectValidation, async (req, res
         // Update project
         const updateQuery = `
             UPDATE projects 
-            SET title = ?, short_description = ?, start_date = ?, end_date = ?, phase = ?
-            WHERE pid = ? AND uid = ?
+            SET title = ?, short_description = ?, start_date = ?, end_date = ?, phase = ?, visibility = ?
+            WHERE pid = ?
         `;
         
         const values = [
@@ -279,43 +486,78 @@ router.post('/edit-project/:id', requireAuth, projectValidation, async (req, res
             start_date,
             end_date || null,
             phase,
-            projectId,
-            req.session.user.uid
+            visibility,
+            projectId
         ];
         
+        const existingTags = (await loadProjectTags(req.db, [existingProject.pid]))[existingProject.pid];
+        const projectTags = parseTags(tags).tags;
+        
         await req.db.execute(updateQuery, values);
+        await setProjectTags(req.db, projectId, projectTags);
+        await recordRevision(req.db, {
+            pid: existingProject.pid,
+            uid: req.session.user.uid,
+            action: 'updated',
+            before: snapshotProject(existingProject, existingTags),
+            after: snapshotProject({ title: title.trim(), short_description: short_description.trim(), start_date, end_date, phase, visibility }, projectTags)
+        });
+        await recordPhaseTransition(req.db, {
+            pid: existingProject.pid,
+            uid: req.session.user.uid,
+            from: existingProject.phase,
+            to: phase
+        });
+        await recordAuditEvent(req, {
+            action: 'project.updated',
+            targetType: 'project',
+            targetId: projectId,
+            details: { title: title.trim(), visibility, ownerUid: existingProject.uid }
+        });
         
-        req.session.successMessage = 'Project updated successfully!';
-        res.redirect('/dashboard');
+        req.session.successMessage = 'Project updated successfully!' + await completionWarning(req, existingProject, phase);
+        res.redirect(manageRedirect(req, existingProject));
         
     } catch (error) {
         console.error('Update project error:', error);
-        res.render('edit-project', {
-            title: 'Edit Project',
-            currentPage: 'dashboard',
-            project: { pid: req.params.id, ...req.body },
-            errors: [{ msg: 'Failed to update project. Please try again.' }],
-            formData: req.body
-        });
+        req.session.errorMessage = 'Failed to update project. Please try again.';
+        res.redirect(`/edit-project/${req.params.id}`);
     }
 });
 
-// Delete project
+// Delete project (moves it to the trash, see routes/trash.js)
 router.post('/delete-project/:id', requireAuth, async (req, res) => {
     try {
         const projectId = req.params.id;
         
-        // Verify the project belongs to the user and delete it
-        const deleteQuery = 'DELETE FROM projects WHERE pid = ? AND uid = ?';
-        const [result] = await req.db.execute(deleteQuery, [projectId, req.session.user.uid]);
+        // Verify the user may delete the project, then delete it
+        const project = await findManageableProject(req, projectId, 'project:delete');
         
-        if (result.affectedRows === 0) {
+        if (!project) {
+            await recordAuditEvent(req, {
+                action: 'project.deleted',
+                outcome: 'denied',
+                targetType: 'project',
+                targetId: projectId
+            });
             req.session.errorMessage = 'Project not found or you do not have permission to delete it.';
-        } else {
-            req.session.successMessage = 'Project deleted successfully!';
+            return res.redirect('/dashboard');
         }
         
-        res.redirect('/dashboard');
+        await trashProject(req.db, project.pid, req.session.user.uid);
+        await recordAuditEvent(req, {
+            action: 'project.deleted',
+            targetType: 'project',
+            targetId: projectId,
+            details: { title: project.title, ownerUid: project.uid }
+        });
+        
+        const days = retentionDays();
+        req.session.successMessage = days > 0
+            ? `${project.title} moved to the trash. Its owners can restore it for ${days} day${days === 1 ? '' : 's'}.`
+            : `${project.title} moved to the trash. Its owners can restore it from there.`;
+        
+        res.redirect(manageRedirect(req, project));
         
     } catch (error) {
         console.error('Delete project error:', error);
@@ -324,18 +566,327 @@ router.post('/delete-project/:id', requireAuth, async (req, res) => {
     }
 });
 
+// Edit history, for anyone who can see the project's tasks
+router.get('/project/:id/history', requireAuth, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id, 'project:view');
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you do not have permission to view its history.';
+            return res.redirect('/dashboard');
+        }
+        
+        res.render('project-history', {
+            title: `History: ${project.title}`,
+            currentPage: 'dashboard',
+            project: project,
+            revisions: (await listRevisions(req.db, project.pid)).reverse(),
+            fieldLabels: REVISION_FIELD_LABELS,
+            diffWords: diffWords,
+            canRevert: can(req.session.user, 'project:edit', project),
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
+        });
+        
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Project history error:', error);
+        res.status(500).render('error', {
+            title: 'Project History',
+            message: 'Unable to load the project history. Please try again later.'
+        });
+    }
+});
+
+// Put a project's fields back the way they were as of a revision. The
+// revert is itself a revision, so it can be undone the same way.
+router.post('/project/:id/history/:revisionId/revert', requireAuth, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id);
+        
+        if (!project) {
+            await recordAuditEvent(req, {
+                action: 'project.reverted',
+                outcome: 'denied',
+                targetType: 'project',
+                targetId: req.params.id
+            });
+            req.session.errorMessage = 'Project not found or you do not have permission to edit it.';
+            return res.redirect('/dashboard');
+        }
+        
+        const historyUrl = `/project/${project.pid}/history`;
+        const revisionId = parseInt(req.params.revisionId, 10);
+        const revisions = await listRevisions(req.db, project.pid);
+        
+        if (!revisions.some(revision => revision.id === revisionId)) {
+            req.session.errorMessage = 'Revision not found.';
+            return res.redirect(historyUrl);
+        }
+        
+        const projectTags = (await loadProjectTags(req.db, [project.pid]))[project.pid];
+        const current = snapshotProject(project, projectTags);
+        const target = snapshotAt(revisions, revisionId, current);
+        
+        if (Object.keys(diffSnapshots(current, target)).length === 0) {
+            req.session.errorMessage = 'The project already matches that revision.';
+            return res.redirect(historyUrl);
+        }
+        
+        // Reverting is a change like any other: the workflow and publishing
+        // rules still apply
+        const revertError = phaseChangeError(req.workflows.forProject(project), project.phase, target.phase)
+            || publishError(req.session.user, target.visibility, project.visibility);
+        
+        if (revertError) {
+            req.session.errorMessage = revertError;
+            return res.redirect(historyUrl);
+        }
+        
+        await req.db.execute(`
+            UPDATE projects 
+            SET title = ?, short_description = ?, start_date = ?, end_date = ?, phase = ?, visibility = ?
+            WHERE pid = ?
+        `, [
+            target.title,
+            target.short_description,
+            target.start_date,
+            target.end_date,
+            target.phase,
+            target.visibility,
+            project.pid
+        ]);
+        await setProjectTags(req.db, project.pid, parseTags(target.tags || '').tags);
+        await recordRevision(req.db, {
+            pid: project.pid,
+            uid: req.session.user.uid,
+            action: 'reverted',
+            before: current,
+            after: target,
+            revertedFrom: revisionId
+        });
+        await recordPhaseTransition(req.db, {
+            pid: project.pid,
+            uid: req.session.user.uid,
+            from: project.phase,
+            to: target.phase
+        });
+        await recordAuditEvent(req, {
+            action: 'project.reverted',
+            targetType: 'project',
+            targetId: project.pid,
+            details: { title: target.title, revisionId, ownerUid: project.uid }
+        });
+        
+        req.session.successMessage = `Project restored to revision #${revisionId}.` + await completionWarning(req, project, target.phase);
+        res.redirect(historyUrl);
+        
+    } catch (error) {
+        console.error('Revert project error:', error);
+        req.session.errorMessage = 'Failed to restore the revision. Please try again.';
+        res.redirect(`/project/${req.params.id}/history`);
+    }
+});
+
+// Render the members page for a project
+async function renderMembers(req, res, project, options = {}) {
+    res.status(options.status || 200).render('project-members', {
+        title: `Members: ${project.title}`,
+        currentPage: 'dashboard',
+        project: project,
+        members: await listProjectMembers(req.db, project),
+        roles: PROJECT_ROLES,
+        canManage: can(req.session.user, 'project:manage-members', project),
+        errors: options.errors || [],
+        formData: options.formData || {},
+        successMessage: options.successMessage || null,
+        errorMessage: options.errorMessage || null
+    });
+}
+
+// Project members; any member can see who else is on the project
+router.get('/project/:id/members', requireAuth, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id, 'project:view');
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you are not a member of it.';
+            return res.redirect('/dashboard');
+        }
+        
+        await renderMembers(req, res, project, {
+            successMessage: req.session.successMessage,
+            errorMessage: req.session.errorMessage
+        });
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Project members error:', error);
+        res.status(500).render('error', {
+            title: 'Project Members',
+            message: 'Unable to load project members. Please try again later.'
+        });
+    }
+});
+
+// Add an existing user to the project
+router.post('/project/:id/members', requireAuth, memberValidation, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id, 'project:manage-members');
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you do not have permission to manage its members.';
+            return res.redirect('/dashboard');
+        }
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return renderMembers(req, res, project, { errors: errors.array(), formData: req.body });
+        }
+        
+        const { member, error } = await addProjectMember(
+            req.db,
+            project,
+            req.body.login,
+            req.body.role,
+            req.session.user.uid
+        );
+        
+        if (error) {
+            return renderMembers(req, res, project, { errors: [{ msg: error }], formData: req.body });
+        }
+        
+        const roleName = `${member.role === 'viewer' ? 'a' : 'an'} ${member.role}`;
+        
+        await recordAuditEvent(req, {
+            action: 'project.member-added',
+            targetType: 'project',
+            targetId: project.pid,
+            details: { username: member.username, role: member.role }
+        });
+        
+        try {
+            await sendMail({
+                to: member.email,
+                subject: `You have been added to ${project.title}`,
+                text: [
+                    `Hi ${member.username},`,
+                    '',
+                    `${req.session.user.username} added you to the project "${project.title}" as ${roleName}.`,
+                    '',
+                    `${appUrl()}/project/${project.pid}`
+                ].join('\n')
+            });
+        } catch (mailError) {
+            // The membership stands either way; the project shows on their dashboard
+            console.error('Member notification error:', mailError);
+        }
+        
+        req.session.successMessage = `${member.username} is now ${roleName} on this project.`;
+        res.redirect(`/project/${project.pid}/members`);
+        
+    } catch (error) {
+        console.error('Add project member error:', error);
+        req.session.errorMessage = 'Failed to add the member. Please try again.';
+        res.redirect(`/project/${req.params.id}/members`);
+    }
+});
+
+// Change a member's role
+router.post('/project/:id/members/:uid/role', requireAuth, memberRoleValidation, async (req, res) => {
+    try {
+        const project = await findManageableProject(req, req.params.id, 'project:manage-members');
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you do not have permission to manage its members.';
+            return res.redirect('/dashboard');
+        }
+        
+        const errors = validationResult(req);
+        const memberId = parseInt(req.params.uid);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+        } else if (await changeMemberRole(req.db, project, memberId, req.body.role)) {
+            await recordAuditEvent(req, {
+                action: 'project.member-role-changed',
+                targetType: 'project',
+                targetId: project.pid,
+                details: { uid: memberId, role: req.body.role }
+            });
+            req.session.successMessage = 'Member role updated.';
+        } else {
+            req.session.errorMessage = 'Member not found. The project creator always stays an owner.';
+        }
+        
+        res.redirect(`/project/${project.pid}/members`);
+        
+    } catch (error) {
+        console.error('Change project member role error:', error);
+        req.session.errorMessage = 'Failed to change the member role. Please try again.';
+        res.redirect(`/project/${req.params.id}/members`);
+    }
+});
+
+// Remove a member; members may also remove themselves to leave a project
+router.post('/project/:id/members/:uid/remove', requireAuth, async (req, res) => {
+    try {
+        const memberId = parseInt(req.params.uid);
+        const leaving = memberId === req.session.user.uid;
+        const project = await findManageableProject(
+            req,
+            req.params.id,
+            leaving ? 'project:view' : 'project:manage-members'
+        );
+        
+        if (!project) {
+            req.session.errorMessage = 'Project not found or you do not have permission to manage its members.';
+            return res.redirect('/dashboard');
+        }
+        
+        if (!(await removeProjectMember(req.db, project, memberId))) {
+            req.session.errorMessage = 'Member not found. The project creator cannot be removed.';
+            return res.redirect(`/project/${project.pid}/members`);
+        }
+        
+        await recordAuditEvent(req, {
+            action: leaving ? 'project.member-left' : 'project.member-removed',
+            targetType: 'project',
+            targetId: project.pid,
+            details: { uid: memberId }
+        });
+        
+        if (leaving) {
+            req.session.successMessage = `You have left ${project.title}.`;
+            return res.redirect('/dashboard');
+        }
+        
+        req.session.successMessage = 'Member removed.';
+        res.redirect(`/project/${project.pid}/members`);
+        
+    } catch (error) {
+        console.error('Remove project member error:', error);
+        req.session.errorMessage = 'Failed to remove the member. Please try again.';
+        res.redirect(`/project/${req.params.id}/members`);
+    }
+});
+
 // Get project data as JSON (for AJAX requests)
-router.get('/api/projects/:id', requireAuth, async (req, res) => {
+router.get('/api/projects/:id', requireAuth, requireScope('read:projects'), async (req, res) => {
     try {
-        const projectId = req.params.id;
-        const query = 'SELECT * FROM projects WHERE pid = ? AND uid = ?';
-        const [projects] = await req.db.execute(query, [projectId, req.session.user.uid]);
+        // Any member may read it; private projects only their owners
+        const project = await findManageableProject(req, req.params.id, 'project:view');
         
-        if (projects.length === 0) {
+        if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
         
-        res.json(projects[0]);
+        await attachTags(req.db, [project]);
+        res.json(project);
         
     } catch (error) {
         console.error('Get project API error:', error);
@@ -343,33 +894,29 @@ router.get('/api/projects/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Get user's projects statistics as JSON
-router.get('/api/stats', requireAuth, async (req, res) => {
+// Get user's projects statistics as JSON (/api/stats has the public ones)
+router.get('/api/me/stats', requireAuth, requireScope('read:projects'), async (req, res) => {
     try {
         const statsQuery = `
             SELECT 
                 phase,
                 COUNT(*) as count
             FROM projects 
-            WHERE uid = ? 
+            WHERE uid = ? AND deleted_at IS NULL
             GROUP BY phase
         `;
         
         const [stats] = await req.db.execute(statsQuery, [req.session.user.uid]);
         
-        const projectStats = {
-            design: 0,
-            development: 0,
-            testing: 0,
-            deployment: 0,
-            complete: 0,
-            total: 0
-        };
+        const projectStats = req.workflows.countByPhase(stats);
         
-        stats.forEach(stat => {
-            projectStats[stat.phase] = stat.count;
-            projectStats.total += stat.count;
-        });
+        const [projects] = await req.db.execute(
+            'SELECT pid FROM projects WHERE uid = ? AND deleted_at IS NULL',
+            [req.session.user.uid]
+        );
+        const tasks = await countTasks(req.db, projects.map(project => project.pid));
+        projectStats.openTasks = tasks.open;
+        projectStats.overdueTasks = tasks.overdue;
         
         res.json(projectStats);
         
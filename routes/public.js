@@ -1,6 +1,24 @@
 const express = require('express');
 const { query, validationResult } = require('express-validator');
 const router = express.Router();
+const { can } = require('../middleware/policy');
+const { getProjectRole, listMemberProjects, listProjectMembers } = require('../services/projectMembers');
+const {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    summarizeTasks,
+    countTasks,
+    listProjectTasks,
+    listMilestones
+} = require('../services/tasks');
+const { COMMENT_MAX_LENGTH, listProjectComments } = require('../services/comments');
+const { maxFileSize, formatBytes, getStorageUsage, listAttachments } = require('../services/attachments');
+const { ALLOWED_EXTENSIONS } = require('../services/fileTypes');
+const { normalizeTag, parseTags, loadProjectTags, attachTags, suggestTags, allTagsCondition } = require('../services/tags');
+const { visibleOwnerCondition, suspensionParams } = require('../services/accountStatus');
+const { listedProjectCondition } = require('../services/projectVisibility');
+const { loadPhaseTimeline, formatDuration } = require('../services/phaseTransitions');
+const { listDependencies } = require('../services/projectDependencies');
 
 // Search validation
 const searchValidation = [
@@ -17,25 +35,50 @@ const searchValidation = [
     
     query('phase')
         .optional()
-        .isIn(['design', 'development', 'testing', 'deployment', 'complete'])
-        .withMessage('Phase filter must be valid')
+        .custom((value, { req }) => {
+            if (!req.workflows.findPhase(value)) {
+                throw new Error('Phase filter must be valid');
+            }
+            return true;
+        }),
+    
+    query('tags')
+        .optional()
+        .custom((value) => {
+            const { error } = parseTags(value);
+            if (error) {
+                throw new Error(error);
+            }
+            return true;
+        })
 ];
 
+// Messages shown on the homepage after redirects (?message=...)
+const homepageMessages = {
+    'logged-out': 'You have been logged out successfully.',
+    'account-deleted': 'Your account has been deleted.'
+};
+
 // Homepage - Display all projects
 router.get('/', async (req, res) => {
     try {
         const query = `
-            SELECT p.pid, p.title, p.start_date, p.short_description, p.phase, u.email, u.username 
+            SELECT p.pid, p.title, p.start_date, p.short_description, p.workflow_id, p.phase, u.username 
             FROM projects p 
             JOIN users u ON p.uid = u.uid 
+            WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
             ORDER BY p.start_date DESC
             LIMIT 20
         `;
         
-        const [projects] = await req.db.execute(query);
+        const [projects] = await req.db.execute(query, suspensionParams());
+        await attachTags(req.db, projects);
         
-        // Get total project count
-        const [countResult] = await req.db.execute('SELECT COUNT(*) as total FROM projects');
+        // Get total project count (excluding suspended owners)
+        const [countResult] = await req.db.execute(
+            `SELECT COUNT(*) as total FROM projects p JOIN users u ON p.uid = u.uid WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}`,
+            suspensionParams()
+        );
         const totalProjects = countResult[0].total;
         
         res.render('index', { 
@@ -44,7 +87,7 @@ router.get('/', async (req, res) => {
             user: req.session.user || null,
             projects: projects,
             totalProjects: totalProjects,
-            successMessage: req.query.message === 'logged-out' ? 'You have been logged out successfully.' : null
+            successMessage: homepageMessages[req.query.message] || null
         });
         
     } catch (error) {
@@ -71,10 +114,10 @@ router.get('/project/:id', async (req, res) => {
         }
         
         const query = `
-            SELECT p.*, u.email, u.username 
+            SELECT p.*, u.username 
             FROM projects p 
             JOIN users u ON p.uid = u.uid 
-            WHERE p.pid = ?
+            WHERE p.pid = ? AND p.deleted_at IS NULL
         `;
         
         const [projects] = await req.db.execute(query, [projectId]);
@@ -87,27 +130,92 @@ router.get('/project/:id', async (req, res) => {
         }
         
         const project = projects[0];
+        const user = req.session.user || null;
+        project.member_role = await getProjectRole(req.db, project, user && user.uid);
+        
+        // Private projects look the same as missing ones to everyone else
+        if (!can(user, 'project:read', project)) {
+            return res.status(404).render('error', {
+                title: 'Project Not Found',
+                message: 'The requested project could not be found.'
+            });
+        }
+        
+        project.tags = (await loadProjectTags(req.db, [project.pid]))[project.pid];
         
         // Get related projects from the same user (excluding current project)
         const relatedQuery = `
             SELECT pid, title, phase, start_date 
-            FROM projects 
-            WHERE uid = ? AND pid != ? 
+            FROM projects p 
+            WHERE uid = ? AND pid != ? AND ${listedProjectCondition('p')} 
             ORDER BY start_date DESC 
             LIMIT 3
         `;
         
         const [relatedProjects] = await req.db.execute(relatedQuery, [project.uid, projectId]);
         
+        // Progress is public; the tasks themselves are for members and staff
+        const canViewTasks = !!user && can(user, 'project:view', project);
+        const canManageTasks = !!user && can(user, 'project:edit', project);
+        const taskSummary = (await summarizeTasks(req.db, [project.pid]))[project.pid];
+        
+        // Attachments are listed for members and staff; owners can upload
+        const canManageAttachments = !!user && can(user, 'project:manage-attachments', project);
+        
+        // Dependencies on projects the user can't see stay hidden; editors
+        // can link the project to any of their own
+        const dependencies = await listDependencies(req.db, project.pid, user && user.uid);
+        const canEdit = !!user && can(user, 'project:edit', project);
+        const linkableProjects = canEdit
+            ? (await listMemberProjects(req.db, user.uid)).filter(other => other.pid !== project.pid)
+            : [];
+        
+        const comments = await listProjectComments(req.db, project.pid, parseInt(req.query.commentsPage) || 1);
+        [...comments.threads, ...comments.threads.flatMap(thread => thread.replies)].forEach(comment => {
+            comment.member_role = project.member_role;
+            comment.canEdit = can(user, 'comment:edit', comment);
+            comment.canDelete = can(user, 'comment:delete', comment);
+        });
+        
         res.render('project-details', {
             title: `${project.title}`,
             currentPage: 'projects',
             user: req.session.user || null,
             project: project,
             relatedProjects: relatedProjects,
-            canEdit: req.session.user && req.session.user.uid === project.uid
+            canEdit: canEdit,
+            canManageMembers: !!user && can(user, 'project:manage-members', project),
+            taskSummary: taskSummary,
+            canViewTasks: canViewTasks,
+            canManageTasks: canManageTasks,
+            tasks: canViewTasks ? await listProjectTasks(req.db, project.pid) : [],
+            milestones: canViewTasks ? await listMilestones(req.db, project.pid) : [],
+            members: canManageTasks ? await listProjectMembers(req.db, project) : [],
+            taskStatuses: TASK_STATUSES,
+            taskPriorities: TASK_PRIORITIES,
+            canViewHistory: canViewTasks,
+            canViewAttachments: canViewTasks,
+            attachments: canViewTasks ? await listAttachments(req.db, project.pid) : [],
+            canManageAttachments: canManageAttachments,
+            storageUsage: canManageAttachments ? await getStorageUsage(req.db, user.uid) : null,
+            maxFileSize: maxFileSize(),
+            formatBytes: formatBytes,
+            allowedExtensions: ALLOWED_EXTENSIONS,
+            comments: comments,
+            commentMaxLength: COMMENT_MAX_LENGTH,
+            phaseTimeline: await loadPhaseTimeline(req.db, project.pid),
+            blockers: dependencies.blockers.filter(other => can(user, 'project:read', other)),
+            blocking: dependencies.blocking.filter(other => can(user, 'project:read', other)),
+            blockerOptions: linkableProjects,
+            blockedOptions: linkableProjects.filter(other => can(user, 'project:edit', other)),
+            formatDuration: formatDuration,
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
         });
         
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
     } catch (error) {
         console.error('Error fetching project details:', error);
         res.status(500).render('error', {
@@ -124,6 +232,7 @@ router.get('/search', searchValidation, async (req, res) => {
     try {
         const errors = validationResult(req);
         let { query: searchQuery, date: searchDate, phase, page } = req.query;
+        const searchTags = errors.isEmpty() ? parseTags(req.query.tags).tags : [];
         
         // Set defaults
         page = parseInt(page) || 1;
@@ -152,13 +261,25 @@ router.get('/search', searchValidation, async (req, res) => {
             params.push(phase);
         }
         
+        // Tags narrow the results: projects must have all of them
+        const filterConditions = whereConditions.length > 0 ? [`(${whereConditions.join(' OR ')})`] : [];
+        
+        if (searchTags.length > 0) {
+            const tagCondition = allTagsCondition(searchTags);
+            filterConditions.push(tagCondition.sql);
+            params.push(...tagCondition.params);
+        }
+        
         // Base query parts
         const joinClause = 'JOIN users u ON p.uid = u.uid';
-        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' OR ') : '';
+        const whereClause = filterConditions.length > 0
+            ? `WHERE ${filterConditions.join(' AND ')} AND ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}`
+            : '';
+        params.push(...suspensionParams());
         
         // Main search query
         const sqlQuery = `
-            SELECT p.pid, p.title, p.start_date, p.end_date, p.short_description, p.phase, u.email, u.username 
+            SELECT p.pid, p.title, p.start_date, p.end_date, p.short_description, p.workflow_id, p.phase, u.username 
             FROM projects p 
             ${joinClause}
             ${whereClause}
@@ -175,7 +296,7 @@ router.get('/search', searchValidation, async (req, res) => {
         `;
         
         // Execute queries
-        if (whereConditions.length > 0) {
+        if (filterConditions.length > 0) {
             // Search with conditions
             const [projectResults] = await req.db.execute(sqlQuery, [...params, limit, offset]);
             const [countResults] = await req.db.execute(countQuery, params);
@@ -185,9 +306,10 @@ router.get('/search', searchValidation, async (req, res) => {
         } else {
             // No search conditions - show all projects (for "View All" button)
             const allProjectsQuery = `
-                SELECT p.pid, p.title, p.start_date, p.end_date, p.short_description, p.phase, u.email, u.username 
+                SELECT p.pid, p.title, p.start_date, p.end_date, p.short_description, p.workflow_id, p.phase, u.username 
                 FROM projects p 
                 ${joinClause}
+                WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
                 ORDER BY p.start_date DESC
                 LIMIT ? OFFSET ?
             `;
@@ -196,15 +318,18 @@ router.get('/search', searchValidation, async (req, res) => {
                 SELECT COUNT(*) as total
                 FROM projects p 
                 ${joinClause}
+                WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
             `;
             
-            const [projectResults] = await req.db.execute(allProjectsQuery, [limit, offset]);
-            const [countResults] = await req.db.execute(allCountQuery);
+            const [projectResults] = await req.db.execute(allProjectsQuery, [...suspensionParams(), limit, offset]);
+            const [countResults] = await req.db.execute(allCountQuery, suspensionParams());
             
             projects = projectResults;
             totalCount = countResults[0].total;
         }
         
+        await attachTags(req.db, projects);
+        
         // Calculate pagination
         const totalPages = Math.ceil(totalCount / limit);
         const hasNextPage = page < totalPages;
@@ -218,6 +343,8 @@ router.get('/search', searchValidation, async (req, res) => {
             title = `Search Results for "${searchQuery}"`;
         } else if (searchDate) {
             title = `Projects starting on "${searchDate}"`;
+        } else if (searchTags.length > 0) {
+            title = `Projects tagged ${searchTags.join(', ')}`;
         } else {
             title = 'All Projects';
         }
@@ -230,13 +357,14 @@ router.get('/search', searchValidation, async (req, res) => {
             searchQuery: searchQuery || '',        
             searchDate: searchDate || '',          
             selectedPhase: phase || '',
+            searchTags: searchTags.join(', '),
             paginationPage: page,
             totalPages: totalPages,
             totalCount: totalCount,
             hasNextPage: hasNextPage,
             hasPrevPage: hasPrevPage,
             errors: errors.array(),
-            searchPerformed: !!(searchQuery || searchDate || phase)
+            searchPerformed: !!(searchQuery || searchDate || phase || searchTags.length > 0)
         });
         
     } catch (error) {
@@ -254,9 +382,9 @@ router.get('/search', searchValidation, async (req, res) => {
 router.get('/browse/:phase', async (req, res) => {
     try {
         const phase = req.params.phase;
-        const validPhases = ['design', 'development', 'testing', 'deployment', 'complete'];
+        const phaseInfo = req.workflows.findPhase(phase);
         
-        if (!validPhases.includes(phase)) {
+        if (!phaseInfo) {
             return res.status(404).render('error', {
                 title: 'Invalid Phase',
                 message: 'The requested project phase is not valid.'
@@ -269,10 +397,10 @@ router.get('/browse/:phase', async (req, res) => {
         
         // Get projects in specific phase
         const query = `
-            SELECT p.pid, p.title, p.start_date, p.short_description, p.phase, u.email, u.username 
+            SELECT p.pid, p.title, p.start_date, p.short_description, p.workflow_id, p.phase, u.username 
             FROM projects p 
             JOIN users u ON p.uid = u.uid 
-            WHERE p.phase = ?
+            WHERE p.phase = ? AND ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
             ORDER BY p.start_date DESC
             LIMIT ? OFFSET ?
         `;
@@ -280,21 +408,24 @@ router.get('/browse/:phase', async (req, res) => {
         const countQuery = `
             SELECT COUNT(*) as total
             FROM projects p 
-            WHERE p.phase = ?
+            JOIN users u ON p.uid = u.uid 
+            WHERE p.phase = ? AND ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
         `;
         
-        const [projects] = await req.db.execute(query, [phase, limit, offset]);
-        const [countResults] = await req.db.execute(countQuery, [phase]);
+        const [projects] = await req.db.execute(query, [phase, ...suspensionParams(), limit, offset]);
+        await attachTags(req.db, projects);
+        const [countResults] = await req.db.execute(countQuery, [phase, ...suspensionParams()]);
         
         const totalCount = countResults[0].total;
         const totalPages = Math.ceil(totalCount / limit);
         
         res.render('browse-phase', {
-            title: `${phase.charAt(0).toUpperCase() + phase.slice(1)} Projects`,
+            title: `${phaseInfo.name} Projects`,
             currentPage: 'browse',
             user: req.session.user || null,
             projects: projects,
             phase: phase,
+            phaseInfo: phaseInfo,
             currentPage: page,
             totalPages: totalPages,
             totalCount: totalCount,
@@ -313,6 +444,108 @@ router.get('/browse/:phase', async (req, res) => {
     }
 });
 
+// Browse projects by tag
+router.get('/tags/:tag', async (req, res) => {
+    try {
+        const tag = normalizeTag(req.params.tag);
+        const page = parseInt(req.query.page) || 1;
+        const limit = 12;
+        const offset = (page - 1) * limit;
+        const tagCondition = allTagsCondition([tag]);
+        
+        const query = `
+            SELECT p.pid, p.title, p.start_date, p.end_date, p.short_description, p.workflow_id, p.phase, u.username 
+            FROM projects p 
+            JOIN users u ON p.uid = u.uid 
+            WHERE ${tagCondition.sql} AND ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
+            ORDER BY p.start_date DESC
+            LIMIT ? OFFSET ?
+        `;
+        
+        const countQuery = `
+            SELECT COUNT(*) as total
+            FROM projects p 
+            JOIN users u ON p.uid = u.uid 
+            WHERE ${tagCondition.sql} AND ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
+        `;
+        
+        const [projects] = await req.db.execute(query, [...tagCondition.params, ...suspensionParams(), limit, offset]);
+        const [countResults] = await req.db.execute(countQuery, [...tagCondition.params, ...suspensionParams()]);
+        await attachTags(req.db, projects);
+        
+        const totalCount = Number(countResults[0].total);
+        const totalPages = Math.ceil(totalCount / limit);
+        
+        res.render('browse-tag', {
+            title: `Projects tagged "${tag}"`,
+            currentPage: 'browse',
+            user: req.session.user || null,
+            projects: projects,
+            tag: tag,
+            paginationPage: page,
+            totalPages: totalPages,
+            totalCount: totalCount,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        });
+        
+    } catch (error) {
+        console.error('Error browsing projects by tag:', error);
+        res.status(500).render('error', {
+            title: 'Browse Error',
+            currentPage: 'browse',
+            user: req.session.user || null,
+            message: 'Unable to browse projects. Please try again later.'
+        });
+    }
+});
+
+// Public profile: a user's projects (linked from @mentions in comments)
+router.get('/users/:username', async (req, res) => {
+    try {
+        const [users] = await req.db.execute(`
+            SELECT u.uid, u.username, u.created_at
+            FROM users u
+            WHERE u.username = ? AND u.status <> 'deactivated' AND ${visibleOwnerCondition('u')}
+        `, [req.params.username, ...suspensionParams()]);
+        
+        if (users.length === 0) {
+            return res.status(404).render('error', {
+                title: 'User Not Found',
+                currentPage: 'projects',
+                user: req.session.user || null,
+                message: 'The requested user could not be found.'
+            });
+        }
+        
+        const profile = users[0];
+        const [projects] = await req.db.execute(`
+            SELECT pid, title, start_date, short_description, workflow_id, phase
+            FROM projects p
+            WHERE uid = ? AND ${listedProjectCondition('p')}
+            ORDER BY start_date DESC
+        `, [profile.uid]);
+        await attachTags(req.db, projects);
+        
+        res.render('user-profile', {
+            title: profile.username,
+            currentPage: 'projects',
+            user: req.session.user || null,
+            profile: profile,
+            projects: projects
+        });
+        
+    } catch (error) {
+        console.error('Error fetching user profile:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            currentPage: 'projects',
+            user: req.session.user || null,
+            message: 'Unable to load this profile. Please try again later.'
+        });
+    }
+});
+
 // API endpoint for project statistics (public)
 router.get('/api/stats', async (req, res) => {
     try {
@@ -320,25 +553,23 @@ router.get('/api/stats', async (req, res) => {
             SELECT 
                 phase,
                 COUNT(*) as count
-            FROM projects 
+            FROM projects p 
+            JOIN users u ON p.uid = u.uid
+            WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
             GROUP BY phase
         `;
         
-        const [stats] = await req.db.execute(statsQuery);
+        const [stats] = await req.db.execute(statsQuery, suspensionParams());
         
-        const projectStats = {
-            design: 0,
-            development: 0,
-            testing: 0,
-            deployment: 0,
-            complete: 0,
-            total: 0
-        };
+        const projectStats = req.workflows.countByPhase(stats);
         
-        stats.forEach(stat => {
-            projectStats[stat.phase] = stat.count;
-            projectStats.total += stat.count;
-        });
+        const [projects] = await req.db.execute(
+            `SELECT pid FROM projects p JOIN users u ON p.uid = u.uid WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}`,
+            suspensionParams()
+        );
+        const tasks = await countTasks(req.db, projects.map(project => project.pid));
+        projectStats.openTasks = tasks.open;
+        projectStats.overdueTasks = tasks.overdue;
         
         res.json(projectStats);
         
@@ -357,11 +588,12 @@ router.get('/api/recent', async (req, res) => {
             SELECT p.pid, p.title, p.start_date, p.phase, u.username 
             FROM projects p 
             JOIN users u ON p.uid = u.uid 
+            WHERE ${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}
             ORDER BY p.start_date DESC
             LIMIT ?
         `;
         
-        const [projects] = await req.db.execute(query, [limit]);
+        const [projects] = await req.db.execute(query, [...suspensionParams(), limit]);
         
         res.json(projects);
         
@@ -371,6 +603,19 @@ router.get('/api/recent', async (req, res) => {
     }
 });
 
+// API endpoint for tag autocomplete (public)
+router.get('/api/tags', async (req, res) => {
+    try {
+        const prefix = (req.query.q || '').toString().slice(0, 30);
+        
+        res.json(await suggestTags(req.db, prefix));
+        
+    } catch (error) {
+        console.error('Get tags API error:', error);
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+});
+
 // About page
 router.get('/about', (req, res) => {
     res.render('about', {
@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { findProjectWithRole, listProjectMembers } = require('../services/projectMembers');
+const {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    listMilestones,
+    findTask,
+    findMilestone,
+    createTask,
+    updateTask,
+    setTaskStatus,
+    deleteTask,
+    createMilestone,
+    updateMilestone,
+    deleteMilestone
+} = require('../services/tasks');
+
+const dueDateValidation = body('due_date')
+    .optional({ values: 'falsy' })
+    .isISO8601({ strict: true })
+    .withMessage('Please provide a valid due date');
+
+const taskValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Task title must be between 1 and 200 characters'),
+    
+    body('status')
+        .isIn(TASK_STATUSES)
+        .withMessage('Please select a valid status'),
+    
+    body('priority')
+        .isIn(TASK_PRIORITIES)
+        .withMessage('Please select a valid priority'),
+    
+    body(['assignee_uid', 'milestone_id'])
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .withMessage('Please make a valid selection'),
+    
+    dueDateValidation
+];
+
+const taskStatusValidation = [
+    body('status')
+        .isIn(TASK_STATUSES)
+        .withMessage('Please select a valid status')
+];
+
+const milestoneValidation = [
+    body('title')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Milestone title must be between 1 and 100 characters'),
+    
+    dueDateValidation
+];
+
+// Load a project whose tasks the current user may change (owners, editors
+// and staff). Sends the user back to the dashboard and returns null otherwise.
+async function findTaskProject(req, res) {
+    const project = await findProjectWithRole(req.db, req.params.id, req.session.user.uid);
+    
+    if (!project || !can(req.session.user, 'project:edit', project)) {
+        req.session.errorMessage = 'Project not found or you do not have permission to manage its tasks.';
+        res.redirect('/dashboard');
+        return null;
+    }
+    return project;
+}
+
+// Task fields from the submitted form
+function taskData(req) {
+    return {
+        title: req.body.title.trim(),
+        assigneeUid: parseInt(req.body.assignee_uid) || null,
+        milestoneId: parseInt(req.body.milestone_id) || null,
+        dueDate: req.body.due_date || null,
+        status: req.body.status,
+        priority: req.body.priority
+    };
+}
+
+function tasksUrl(project) {
+    return `/project/${project.pid}#tasks`;
+}
+
+// Render the task edit form
+async function renderTaskForm(req, res, project, task, options = {}) {
+    res.render('edit-task', {
+        title: `Edit Task: ${task.title}`,
+        currentPage: 'dashboard',
+        project: project,
+        task: task,
+        members: await listProjectMembers(req.db, project),
+        milestones: await listMilestones(req.db, project.pid),
+        statuses: TASK_STATUSES,
+        priorities: TASK_PRIORITIES,
+        errors: options.errors || [],
+        formData: options.formData || task
+    });
+}
+
+// Add a task
+router.post('/project/:id/tasks', requireAuth, taskValidation, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+            return res.redirect(tasksUrl(project));
+        }
+        
+        const { error } = await createTask(req.db, project, taskData(req), req.session.user.uid);
+        
+        if (error) {
+            req.session.errorMessage = error;
+        } else {
+            req.session.successMessage = 'Task added.';
+        }
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Add task error:', error);
+        req.session.errorMessage = 'Failed to add the task. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Edit task form
+router.get('/project/:id/tasks/:taskId/edit', requireAuth, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const task = await findTask(req.db, project.pid, req.params.taskId);
+        
+        if (!task) {
+            req.session.errorMessage = 'Task not found.';
+            return res.redirect(tasksUrl(project));
+        }
+        
+        await renderTaskForm(req, res, project, task);
+        
+    } catch (error) {
+        console.error('Edit task error:', error);
+        req.session.errorMessage = 'Unable to load the task for editing.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Update a task
+router.post('/project/:id/tasks/:taskId', requireAuth, taskValidation, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const task = await findTask(req.db, project.pid, req.params.taskId);
+        
+        if (!task) {
+            req.session.errorMessage = 'Task not found.';
+            return res.redirect(tasksUrl(project));
+        }
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return renderTaskForm(req, res, project, task, { errors: errors.array(), formData: req.body });
+        }
+        
+        const { error } = await updateTask(req.db, project, task.id, taskData(req));
+        
+        if (error) {
+            return renderTaskForm(req, res, project, task, { errors: [{ msg: error }], formData: req.body });
+        }
+        
+        req.session.successMessage = 'Task updated.';
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Update task error:', error);
+        req.session.errorMessage = 'Failed to update the task. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Move a task to another status from the task list
+router.post('/project/:id/tasks/:taskId/status', requireAuth, taskStatusValidation, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+        } else if (!(await setTaskStatus(req.db, project.pid, req.params.taskId, req.body.status))) {
+            req.session.errorMessage = 'Task not found.';
+        }
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Task status error:', error);
+        req.session.errorMessage = 'Failed to update the task. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Delete a task
+router.post('/project/:id/tasks/:taskId/delete', requireAuth, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        if (await deleteTask(req.db, project.pid, req.params.taskId)) {
+            req.session.successMessage = 'Task deleted.';
+        } else {
+            req.session.errorMessage = 'Task not found.';
+        }
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Delete task error:', error);
+        req.session.errorMessage = 'Failed to delete the task. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Add a milestone
+router.post('/project/:id/milestones', requireAuth, milestoneValidation, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            req.session.errorMessage = errors.array()[0].msg;
+        } else {
+            await createMilestone(req.db, project.pid, { title: req.body.title, dueDate: req.body.due_date });
+            req.session.successMessage = 'Milestone added.';
+        }
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Add milestone error:', error);
+        req.session.errorMessage = 'Failed to add the milestone. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Edit milestone form
+router.get('/project/:id/milestones/:milestoneId/edit', requireAuth, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const milestone = await findMilestone(req.db, project.pid, req.params.milestoneId);
+        
+        if (!milestone) {
+            req.session.errorMessage = 'Milestone not found.';
+            return res.redirect(tasksUrl(project));
+        }
+        
+        res.render('edit-milestone', {
+            title: `Edit Milestone: ${milestone.title}`,
+            currentPage: 'dashboard',
+            project: project,
+            milestone: milestone,
+            errors: [],
+            formData: milestone
+        });
+        
+    } catch (error) {
+        console.error('Edit milestone error:', error);
+        req.session.errorMessage = 'Unable to load the milestone for editing.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Update a milestone
+router.post('/project/:id/milestones/:milestoneId', requireAuth, milestoneValidation, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        const milestone = await findMilestone(req.db, project.pid, req.params.milestoneId);
+        
+        if (!milestone) {
+            req.session.errorMessage = 'Milestone not found.';
+            return res.redirect(tasksUrl(project));
+        }
+        
+        const errors = validationResult(req);
+        
+        if (!errors.isEmpty()) {
+            return res.render('edit-milestone', {
+                title: `Edit Milestone: ${milestone.title}`,
+                currentPage: 'dashboard',
+                project: project,
+                milestone: milestone,
+                errors: errors.array(),
+                formData: req.body
+            });
+        }
+        
+        await updateMilestone(req.db, project.pid, milestone.id, { title: req.body.title, dueDate: req.body.due_date });
+        
+        req.session.successMessage = 'Milestone updated.';
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Update milestone error:', error);
+        req.session.errorMessage = 'Failed to update the milestone. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+// Delete a milestone (its tasks are kept)
+router.post('/project/:id/milestones/:milestoneId/delete', requireAuth, async (req, res) => {
+    try {
+        const project = await findTaskProject(req, res);
+        if (!project) return;
+        
+        if (await deleteMilestone(req.db, project.pid, req.params.milestoneId)) {
+            req.session.successMessage = 'Milestone deleted. Its tasks are still on the project.';
+        } else {
+            req.session.errorMessage = 'Milestone not found.';
+        }
+        res.redirect(tasksUrl(project));
+        
+    } catch (error) {
+        console.error('Delete milestone error:', error);
+        req.session.errorMessage = 'Failed to delete the milestone. Please try again.';
+        res.redirect(`/project/${req.params.id}`);
+    }
+});
+
+module.exports = router;
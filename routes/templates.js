@@ -0,0 +1,265 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { findProjectWithRole } = require('../services/projectMembers');
+const { listProjectTasks } = require('../services/tasks');
+const { parseTags, loadProjectTags } = require('../services/tags');
+const { findWorkflowPhase } = require('../services/workflows');
+const {
+    listTemplates,
+    findTemplate,
+    saveTemplate,
+    deleteTemplate,
+    templateFromProject
+} = require('../services/projectTemplates');
+
+const MAX_DURATION_DAYS = 3650;
+
+const templateValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Template name must be between 1 and 100 characters'),
+    
+    body('title_pattern')
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Title pattern must be between 3 and 100 characters'),
+    
+    body('short_description')
+        .trim()
+        .isLength({ min: 10, max: 500 })
+        .withMessage('Short description must be between 10 and 500 characters'),
+    
+    body('workflow_id')
+        .optional({ checkFalsy: true })
+        .custom((value, { req }) => {
+            if (!req.workflows.get(value)) {
+                throw new Error('Please select a valid workflow');
+            }
+            return true;
+        }),
+    
+    body('duration_days')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 1, max: MAX_DURATION_DAYS })
+        .withMessage(`Duration must be between 1 and ${MAX_DURATION_DAYS} days`),
+    
+    body('tags')
+        .optional()
+        .custom((value) => {
+            const { error } = parseTags(value);
+            if (error) {
+                throw new Error(error);
+            }
+            return true;
+        })
+];
+
+// A project the user may base a template on (anyone who can see its
+// tasks), or null
+async function findSourceProject(req, projectId) {
+    const project = await findProjectWithRole(req.db, projectId, req.session.user.uid);
+    return project && can(req.session.user, 'project:view', project) ? project : null;
+}
+
+// Template fields, tags and tasks of a project, for a new template
+async function sourceTemplate(req, project) {
+    const projectTags = (await loadProjectTags(req.db, [project.pid]))[project.pid];
+    return templateFromProject(project, projectTags, await listProjectTasks(req.db, project.pid));
+}
+
+function renderTemplateForm(res, { template = null, source = null, formData, errors = [] }) {
+    res.render('template-form', {
+        title: template ? `Edit Template: ${template.name}` : 'New Template',
+        currentPage: 'dashboard',
+        template: template,
+        source: source,
+        errors: errors,
+        formData: formData
+    });
+}
+
+// Template values from a submitted form; the phase must belong to the
+// chosen workflow. Returns { data } or { error }.
+function templateData(req) {
+    const { name, title_pattern, short_description, workflow_id, phase, duration_days, tags } = req.body;
+    const workflow = req.workflows.get(workflow_id) || req.workflows.defaultWorkflow;
+    
+    if (phase && !findWorkflowPhase(workflow, phase)) {
+        return { error: `Please select a phase from the ${workflow.name} workflow` };
+    }
+    
+    return {
+        data: {
+            name: name.trim(),
+            title_pattern: title_pattern.trim(),
+            short_description: short_description.trim(),
+            workflow_id: workflow.id,
+            phase: phase || null,
+            duration_days: duration_days ? parseInt(duration_days, 10) : null,
+            tags: parseTags(tags).tags.join(', ')
+        }
+    };
+}
+
+// The user's templates
+router.get('/templates', requireAuth, async (req, res) => {
+    try {
+        res.render('templates', {
+            title: 'Project Templates',
+            currentPage: 'dashboard',
+            templates: await listTemplates(req.db, req.session.user.uid),
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
+        });
+        
+        // Clear flash messages
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Templates error:', error);
+        res.status(500).render('error', {
+            title: 'Project Templates',
+            message: 'Unable to load your templates. Please try again later.'
+        });
+    }
+});
+
+// New template form, blank or based on a project (?project=)
+router.get('/templates/new', requireAuth, async (req, res) => {
+    try {
+        if (!req.query.project) {
+            return renderTemplateForm(res, { formData: {} });
+        }
+        
+        const source = await findSourceProject(req, req.query.project);
+        
+        if (!source) {
+            req.session.errorMessage = 'Project not found or you do not have permission to view it.';
+            return res.redirect('/templates');
+        }
+        
+        renderTemplateForm(res, { source, formData: await sourceTemplate(req, source) });
+        
+    } catch (error) {
+        console.error('New template error:', error);
+        req.session.errorMessage = 'Unable to load the template form.';
+        res.redirect('/templates');
+    }
+});
+
+// Create a template; templates based on a project take its tasks when asked
+router.post('/templates', requireAuth, templateValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        const source = req.body.source_pid ? await findSourceProject(req, req.body.source_pid) : null;
+        const { data, error } = errors.isEmpty() ? templateData(req) : {};
+        
+        if (!errors.isEmpty() || error) {
+            return renderTemplateForm(res, {
+                source,
+                formData: req.body,
+                errors: error ? [{ msg: error }] : errors.array()
+            });
+        }
+        
+        const tasks = source && req.body.include_tasks ? (await sourceTemplate(req, source)).tasks : [];
+        const result = await saveTemplate(req.db, req.session.user.uid, data, { tasks });
+        
+        if (result.error) {
+            return renderTemplateForm(res, { source, formData: req.body, errors: [{ msg: result.error }] });
+        }
+        
+        req.session.successMessage = `Template ${data.name} saved.`;
+        res.redirect('/templates');
+        
+    } catch (error) {
+        console.error('Create template error:', error);
+        renderTemplateForm(res, {
+            formData: req.body,
+            errors: [{ msg: 'Failed to save the template. Please try again.' }]
+        });
+    }
+});
+
+// Edit template form
+router.get('/templates/:id/edit', requireAuth, async (req, res) => {
+    try {
+        const template = await findTemplate(req.db, req.params.id, req.session.user.uid);
+        
+        if (!template) {
+            req.session.errorMessage = 'Template not found.';
+            return res.redirect('/templates');
+        }
+        
+        renderTemplateForm(res, { template, formData: template });
+        
+    } catch (error) {
+        console.error('Edit template error:', error);
+        req.session.errorMessage = 'Unable to load the template for editing.';
+        res.redirect('/templates');
+    }
+});
+
+// Update a template; its tasks stay as they are
+router.post('/templates/:id', requireAuth, templateValidation, async (req, res) => {
+    try {
+        const template = await findTemplate(req.db, req.params.id, req.session.user.uid);
+        
+        if (!template) {
+            req.session.errorMessage = 'Template not found.';
+            return res.redirect('/templates');
+        }
+        
+        const errors = validationResult(req);
+        const { data, error } = errors.isEmpty() ? templateData(req) : {};
+        
+        if (!errors.isEmpty() || error) {
+            return renderTemplateForm(res, {
+                template,
+                formData: req.body,
+                errors: error ? [{ msg: error }] : errors.array()
+            });
+        }
+        
+        const result = await saveTemplate(req.db, req.session.user.uid, data, { templateId: template.id });
+        
+        if (result.error) {
+            return renderTemplateForm(res, { template, formData: req.body, errors: [{ msg: result.error }] });
+        }
+        
+        req.session.successMessage = `Template ${data.name} updated.`;
+        res.redirect('/templates');
+        
+    } catch (error) {
+        console.error('Update template error:', error);
+        req.session.errorMessage = 'Failed to update the template. Please try again.';
+        res.redirect('/templates');
+    }
+});
+
+router.post('/templates/:id/delete', requireAuth, async (req, res) => {
+    try {
+        const deleted = await deleteTemplate(req.db, req.params.id, req.session.user.uid);
+        
+        if (deleted) {
+            req.session.successMessage = 'Template deleted.';
+        } else {
+            req.session.errorMessage = 'Template not found.';
+        }
+        res.redirect('/templates');
+        
+    } catch (error) {
+        console.error('Delete template error:', error);
+        req.session.errorMessage = 'Failed to delete the template. Please try again.';
+        res.redirect('/templates');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+
+// Import auth middleware
+const { requireAuth } = require('./auth');
+const { can } = require('../middleware/policy');
+const { recordAuditEvent } = require('../services/audit');
+const {
+    retentionDays,
+    listTrash,
+    findTrashedProject,
+    restoreProject,
+    purgeProjects
+} = require('../services/trash');
+
+// Load a project from the trash that the user may restore or delete (the
+// project:delete policy). Sends the user back to the trash and returns null
+// otherwise.
+async function findTrashedFor(req, res) {
+    const project = await findTrashedProject(req.db, req.params.id, req.session.user.uid);
+    
+    if (!project || !can(req.session.user, 'project:delete', project)) {
+        req.session.errorMessage = 'Project not found in your trash.';
+        res.redirect('/trash');
+        return null;
+    }
+    return project;
+}
+
+// Projects the user has deleted (or that were deleted from under them)
+router.get('/trash', requireAuth, async (req, res) => {
+    try {
+        res.render('trash', {
+            title: 'Trash',
+            currentPage: 'dashboard',
+            user: req.session.user,
+            projects: await listTrash(req.db, req.session.user.uid),
+            retentionDays: retentionDays(),
+            successMessage: req.session.successMessage || null,
+            errorMessage: req.session.errorMessage || null
+        });
+        
+        // Clear flash messages
+        delete req.session.successMessage;
+        delete req.session.errorMessage;
+        
+    } catch (error) {
+        console.error('Trash error:', error);
+        res.status(500).render('error', {
+            title: 'Trash',
+            message: 'Unable to load the trash. Please try again later.'
+        });
+    }
+});
+
+// Put a project back where it was
+router.post('/trash/:id/restore', requireAuth, async (req, res) => {
+    try {
+        const project = await findTrashedFor(req, res);
+        if (!project) return;
+        
+        await restoreProject(req.db, project.pid);
+        await recordAuditEvent(req, {
+            action: 'project.restored',
+            targetType: 'project',
+            targetId: project.pid,
+            details: { title: project.title, ownerUid: project.uid }
+        });
+        
+        req.session.successMessage = `${project.title} has been restored.`;
+        res.redirect('/dashboard');
+        
+    } catch (error) {
+        console.error('Restore project error:', error);
+        req.session.errorMessage = 'Failed to restore the project. Please try again.';
+        res.redirect('/trash');
+    }
+});
+
+// Delete a project for good
+router.post('/trash/:id/delete', requireAuth, async (req, res) => {
+    try {
+        const project = await findTrashedFor(req, res);
+        if (!project) return;
+        
+        await purgeProjects(req.db, [project.pid]);
+        await recordAuditEvent(req, {
+            action: 'project.purged',
+            targetType: 'project',
+            targetId: project.pid,
+            details: { title: project.title, ownerUid: project.uid }
+        });
+        
+        req.session.successMessage = `${project.title} has been permanently deleted.`;
+        res.redirect('/trash');
+        
+    } catch (error) {
+        console.error('Purge project error:', error);
+        req.session.errorMessage = 'Failed to delete the project. Please try again.';
+        res.redirect('/trash');
+    }
+});
+
+module.exports = router;
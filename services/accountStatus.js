@@ -0,0 +1,76 @@
+// Account status
+// users.status is 'active', 'suspended' or 'deactivated'. A suspension
+// applies until suspended_until (or indefinitely when that is NULL).
+const ACCOUNT_STATUSES = ['active', 'suspended', 'deactivated'];
+
+// SQL expression that is true while a user's suspension is in place.
+// Takes one parameter: the current time (see suspensionParams).
+function suspensionInEffect(alias = 'u') {
+    return `(${alias}.status = 'suspended' AND (${alias}.suspended_until IS NULL OR ${alias}.suspended_until > ?))`;
+}
+
+// Condition for listing content only from owners who aren't suspended
+function visibleOwnerCondition(alias = 'u') {
+    return `NOT ${suspensionInEffect(alias)}`;
+}
+
+function suspensionParams() {
+    return [new Date()];
+}
+
+// Load a user's current details, role and status, treating lapsed
+// suspensions as active
+async function loadAccountStatus(db, uid) {
+    const [users] = await db.execute(`
+        SELECT u.uid, u.username, u.email, u.email_verified_at, u.role, u.status, u.suspension_reason, u.suspended_until,
+            CASE WHEN ${suspensionInEffect('u')} THEN 1 ELSE 0 END as suspended
+        FROM users u
+        WHERE u.uid = ?
+    `, [...suspensionParams(), uid]);
+    
+    if (users.length === 0) {
+        return null;
+    }
+    
+    const user = users[0];
+    let status = user.status;
+    if (status === 'suspended' && !Number(user.suspended)) {
+        status = 'active';
+    }
+    
+    return {
+        uid: user.uid,
+        username: user.username,
+        email: user.email,
+        emailVerified: !!user.email_verified_at,
+        role: user.role,
+        status: status,
+        suspensionReason: status === 'suspended' ? user.suspension_reason : null,
+        suspendedUntil: status === 'suspended' ? user.suspended_until : null
+    };
+}
+
+// Message shown to a user who can't sign in because of their status
+function accountStatusMessage(account) {
+    if (account.status === 'deactivated') {
+        return 'This account has been deactivated.';
+    }
+    
+    let message = account.suspendedUntil
+        ? `Your account is suspended until ${new Date(account.suspendedUntil).toLocaleString()}.`
+        : 'Your account has been suspended.';
+    
+    if (account.suspensionReason) {
+        message += ` Reason: ${account.suspensionReason}`;
+    }
+    return message;
+}
+
+module.exports = {
+    ACCOUNT_STATUSES,
+    suspensionInEffect,
+    visibleOwnerCondition,
+    suspensionParams,
+    loadAccountStatus,
+    accountStatusMessage
+};
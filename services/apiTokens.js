@@ -0,0 +1,84 @@
+// Personal API tokens
+// Tokens are shown to the user once when created and stored hashed. A
+// token carries a set of scopes and an optional expiry, and is sent as
+// "Authorization: Bearer <token>" to the /api routes.
+const { generateToken, hashToken } = require('./tokens');
+
+// The /api routes only read, so read:projects is the only scope for now
+const API_SCOPES = ['read:projects'];
+const TOKEN_PREFIX = 'pm_';
+
+// Create a token and return the plain value (the only time it is available)
+async function createApiToken(db, uid, { name, scopes, expiresInDays }) {
+    const token = TOKEN_PREFIX + generateToken();
+    const expiresAt = expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+    
+    await db.execute(
+        'INSERT INTO api_tokens (uid, name, token_hash, token_prefix, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [uid, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scopes.join(' '), expiresAt]
+    );
+    
+    return token;
+}
+
+// A user's tokens, newest first, with an `active` flag
+async function listApiTokens(db, uid) {
+    const [tokens] = await db.execute(`
+        SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at,
+            CASE WHEN revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?) THEN 1 ELSE 0 END as active
+        FROM api_tokens
+        WHERE uid = ?
+        ORDER BY created_at DESC, id DESC
+    `, [new Date(), uid]);
+    
+    return tokens.map(token => ({
+        ...token,
+        scopes: token.scopes.split(' '),
+        active: !!Number(token.active)
+    }));
+}
+
+async function revokeApiToken(db, uid, id) {
+    const [result] = await db.execute(
+        'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND uid = ? AND revoked_at IS NULL',
+        [new Date(), id, uid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Resolve a bearer token to { id, uid, scopes }, or null if it is unknown,
+// revoked or expired. Records when the token was last used.
+async function authenticateApiToken(db, token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+    
+    const now = new Date();
+    const [tokens] = await db.execute(`
+        SELECT id, uid, scopes
+        FROM api_tokens
+        WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `, [hashToken(token), now]);
+    
+    if (tokens.length === 0) {
+        return null;
+    }
+    
+    await db.execute('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [now, tokens[0].id]);
+    
+    return {
+        id: tokens[0].id,
+        uid: tokens[0].uid,
+        scopes: tokens[0].scopes.split(' ')
+    };
+}
+
+module.exports = {
+    API_SCOPES,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    authenticateApiToken
+};
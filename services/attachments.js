@@ -0,0 +1,154 @@
+// Project attachments
+// Owners attach files (specs, screenshots) to their projects. Each upload's
+// type is detected from its contents (services/fileTypes), its size counts
+// towards the uploader's quota and the file itself is kept by the storage
+// backend (services/storage).
+const { detectFileType } = require('./fileTypes');
+const { getStorage, newStorageKey } = require('./storage');
+
+const MEGABYTE = 1024 * 1024;
+const DEFAULT_MAX_FILE_MB = 10;
+const DEFAULT_QUOTA_MB = 100;
+
+function megabytesFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) || value <= 0 ? fallback : value;
+}
+
+// Largest single upload, in bytes (ATTACHMENT_MAX_FILE_MB)
+function maxFileSize() {
+    return Math.floor(megabytesFromEnv('ATTACHMENT_MAX_FILE_MB', DEFAULT_MAX_FILE_MB) * MEGABYTE);
+}
+
+// Total each user may upload across all projects, in bytes (STORAGE_QUOTA_MB)
+function storageQuota() {
+    return Math.floor(megabytesFromEnv('STORAGE_QUOTA_MB', DEFAULT_QUOTA_MB) * MEGABYTE);
+}
+
+// Human-readable size, e.g. "1.5 MB"
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MEGABYTE) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / MEGABYTE).toFixed(1)} MB`;
+}
+
+// Bytes the user has uploaded and their quota: { used, quota, available }
+async function getStorageUsage(db, uid) {
+    const [rows] = await db.execute(
+        'SELECT COALESCE(SUM(size_bytes), 0) as used FROM project_attachments WHERE uploaded_by = ?',
+        [uid]
+    );
+    const used = Number(rows[0].used);
+    const quota = storageQuota();
+    
+    return { used, quota, available: Math.max(quota - used, 0) };
+}
+
+async function listAttachments(db, pid) {
+    const [attachments] = await db.execute(`
+        SELECT a.id, a.pid, a.original_name, a.mime_type, a.size_bytes, a.created_at, a.uploaded_by,
+            u.username as uploader_username
+        FROM project_attachments a
+        LEFT JOIN users u ON a.uploaded_by = u.uid
+        WHERE a.pid = ?
+        ORDER BY a.created_at DESC, a.id DESC
+    `, [pid]);
+    return attachments;
+}
+
+async function findAttachment(db, pid, attachmentId) {
+    const [attachments] = await db.execute(
+        'SELECT * FROM project_attachments WHERE id = ? AND pid = ?',
+        [attachmentId, pid]
+    );
+    return attachments[0] || null;
+}
+
+// Store an uploaded file ({ originalname, buffer, size } from multer) on a
+// project. Returns { attachment } or { error } with a message for the user.
+async function addAttachment(db, pid, file, uid) {
+    if (file.size === 0) {
+        return { error: 'The file is empty' };
+    }
+    
+    const { mimeType, error } = detectFileType(file.buffer, file.originalname);
+    if (error) {
+        return { error };
+    }
+    
+    const usage = await getStorageUsage(db, uid);
+    if (file.size > usage.available) {
+        return {
+            error: `This file would exceed your storage quota (${formatBytes(usage.used)} of ${formatBytes(usage.quota)} used)`
+        };
+    }
+    
+    const originalName = file.originalname.slice(0, 255);
+    const storageKey = newStorageKey(`projects/${pid}`);
+    const storage = getStorage();
+    await storage.save(storageKey, file.buffer);
+    
+    try {
+        const [result] = await db.execute(`
+            INSERT INTO project_attachments (pid, uploaded_by, original_name, storage_key, mime_type, size_bytes)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [pid, uid, originalName, storageKey, mimeType, file.size]);
+        
+        return {
+            attachment: { id: result.insertId, pid, original_name: originalName, mime_type: mimeType, size_bytes: file.size }
+        };
+    } catch (insertError) {
+        await storage.remove(storageKey);
+        throw insertError;
+    }
+}
+
+// Open an attachment's contents as a readable stream
+async function openAttachment(attachment) {
+    return getStorage().createReadStream(attachment.storage_key);
+}
+
+async function deleteAttachment(db, attachment) {
+    await db.execute('DELETE FROM project_attachments WHERE id = ?', [attachment.id]);
+    await getStorage().remove(attachment.storage_key);
+}
+
+// Storage keys of every attachment on the given projects. Read them
+// before deleting the projects; the rows go with them through the foreign
+// key.
+async function listProjectFileKeys(db, pids) {
+    if (pids.length === 0) return [];
+    
+    const [attachments] = await db.execute(
+        `SELECT storage_key FROM project_attachments WHERE pid IN (${pids.map(() => '?').join(', ')})`,
+        pids
+    );
+    return attachments.map(attachment => attachment.storage_key);
+}
+
+// Remove stored files, logging rather than throwing on failure, since the
+// rows that pointed at them are already gone
+async function removeStoredFiles(storageKeys) {
+    const storage = getStorage();
+    
+    for (const storageKey of storageKeys) {
+        try {
+            await storage.remove(storageKey);
+        } catch (error) {
+            console.error(`Failed to remove stored file ${storageKey}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    maxFileSize,
+    formatBytes,
+    getStorageUsage,
+    listAttachments,
+    findAttachment,
+    addAttachment,
+    openAttachment,
+    deleteAttachment,
+    listProjectFileKeys,
+    removeStoredFiles
+};
@@ -0,0 +1,128 @@
+// Security audit log
+// Records who did what, from where, and whether it worked. Writing an event
+// never throws: a failed audit write is logged and the request carries on.
+// Events older than AUDIT_RETENTION_DAYS (default 365, 0 = keep forever)
+// are pruned daily.
+const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+const DEFAULT_RETENTION_DAYS = 365;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+// Record an event. The actor defaults to the logged-in user; pass `actor`
+// ({ uid, username }) for events that happen before a session exists.
+async function recordAuditEvent(req, { action, outcome = 'success', actor, targetType, targetId, details }) {
+    const user = actor !== undefined ? actor : (req.session && req.session.user);
+    
+    try {
+        // Actors given only by uid (e.g. from an emailed link) still get a name
+        if (user && user.uid && !user.username) {
+            const [users] = await req.db.execute('SELECT username FROM users WHERE uid = ?', [user.uid]);
+            user.username = users.length > 0 ? users[0].username : null;
+        }
+        
+        await req.db.execute(`
+            INSERT INTO audit_events
+                (actor_uid, actor_username, action, target_type, target_id, outcome, ip_address, user_agent, details, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            user && user.uid ? user.uid : null,
+            user && user.username ? String(user.username).slice(0, 50) : null,
+            action,
+            targetType || null,
+            targetId !== undefined && targetId !== null ? String(targetId) : null,
+            outcome,
+            req.ip || null,
+            (req.get('user-agent') || '').slice(0, 255) || null,
+            details ? JSON.stringify(details) : null,
+            new Date()
+        ]);
+    } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+    }
+}
+
+// Filtered, paginated events, newest first. Returns { events, total }.
+async function listAuditEvents(db, filters = {}, { page = 1, pageSize = 25 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.uid) {
+        conditions.push('actor_uid = ?');
+        params.push(filters.uid);
+    }
+    if (filters.actor) {
+        conditions.push('actor_username LIKE ?');
+        params.push(`%${filters.actor}%`);
+    }
+    if (filters.action) {
+        conditions.push('action LIKE ?');
+        params.push(`${filters.action}%`);
+    }
+    if (filters.outcome) {
+        conditions.push('outcome = ?');
+        params.push(filters.outcome);
+    }
+    if (filters.from) {
+        conditions.push('created_at >= ?');
+        params.push(new Date(`${filters.from}T00:00:00Z`));
+    }
+    if (filters.to) {
+        conditions.push('created_at < ?');
+        params.push(new Date(new Date(`${filters.to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000));
+    }
+    
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    const [events] = await db.execute(`
+        SELECT id, actor_uid, actor_username, action, target_type, target_id, outcome,
+            ip_address, user_agent, details, created_at
+        FROM audit_events
+        ${whereClause}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+    `, [...params, pageSize, (page - 1) * pageSize]);
+    
+    const [countResults] = await db.execute(`SELECT COUNT(*) as total FROM audit_events ${whereClause}`, params);
+    
+    return {
+        events: events.map(event => ({
+            ...event,
+            details: event.details ? JSON.parse(event.details) : null
+        })),
+        total: Number(countResults[0].total)
+    };
+}
+
+function retentionDays() {
+    const days = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+    return Number.isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+}
+
+// Delete events older than the retention period. Returns rows removed.
+async function pruneAuditEvents(db, days = retentionDays()) {
+    if (days <= 0) {
+        return 0;
+    }
+    
+    const [result] = await db.execute(
+        'DELETE FROM audit_events WHERE created_at < ?',
+        [new Date(Date.now() - days * 24 * 60 * 60 * 1000)]
+    );
+    return result.affectedRows;
+}
+
+// Prune now and then once a day
+function scheduleAuditRetention(db) {
+    const prune = () => pruneAuditEvents(db).catch(err => console.error('Audit retention error:', err));
+    
+    prune();
+    setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    AUDIT_OUTCOMES,
+    recordAuditEvent,
+    listAuditEvents,
+    pruneAuditEvents,
+    scheduleAuditRetention
+};
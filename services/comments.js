@@ -0,0 +1,140 @@
+// Project comments
+// Comments are written in Markdown and threaded one level deep: replies
+// hang off a top-level comment, and replying to a reply answers its thread.
+// Pages hold COMMENTS_PAGE_SIZE threads, oldest first, each with all of its
+// replies. Comments by deleted accounts have no uid or username.
+const { extractMentions, renderMarkdown } = require('./markdown');
+const { visibleOwnerCondition, suspensionParams } = require('./accountStatus');
+
+const COMMENTS_PAGE_SIZE = 10;
+const COMMENT_MAX_LENGTH = 5000;
+
+// Map of lower-cased username -> username for the mentioned users that
+// exist and aren't deactivated or suspended
+async function findMentionedUsers(db, texts) {
+    const mentioned = [...new Set(texts.flatMap(extractMentions))];
+    const users = new Map();
+    
+    if (mentioned.length === 0) {
+        return users;
+    }
+    
+    const [rows] = await db.execute(`
+        SELECT u.username FROM users u
+        WHERE LOWER(u.username) IN (${mentioned.map(() => '?').join(', ')})
+            AND u.status <> 'deactivated' AND ${visibleOwnerCondition('u')}
+    `, [...mentioned, ...suspensionParams()]);
+    
+    rows.forEach(row => users.set(row.username.toLowerCase(), row.username));
+    return users;
+}
+
+// A page of a project's comment threads. Returns { threads, total, page,
+// totalPages } where total counts threads and each thread has `replies`.
+// Comments carry their rendered Markdown as `html`.
+async function listProjectComments(db, pid, page = 1) {
+    const [countResults] = await db.execute(
+        'SELECT COUNT(*) as total FROM project_comments WHERE pid = ? AND parent_id IS NULL',
+        [pid]
+    );
+    const total = Number(countResults[0].total);
+    const totalPages = Math.max(Math.ceil(total / COMMENTS_PAGE_SIZE), 1);
+    page = Math.min(Math.max(page, 1), totalPages);
+    
+    const [threads] = await db.execute(`
+        SELECT c.*, u.username
+        FROM project_comments c
+        LEFT JOIN users u ON c.uid = u.uid
+        WHERE c.pid = ? AND c.parent_id IS NULL
+        ORDER BY c.created_at, c.id
+        LIMIT ? OFFSET ?
+    `, [pid, COMMENTS_PAGE_SIZE, (page - 1) * COMMENTS_PAGE_SIZE]);
+    
+    let replies = [];
+    if (threads.length > 0) {
+        [replies] = await db.execute(`
+            SELECT c.*, u.username
+            FROM project_comments c
+            LEFT JOIN users u ON c.uid = u.uid
+            WHERE c.parent_id IN (${threads.map(() => '?').join(', ')})
+            ORDER BY c.created_at, c.id
+        `, threads.map(thread => thread.id));
+    }
+    
+    const mentions = await findMentionedUsers(db, [...threads, ...replies].map(comment => comment.body));
+    const render = comment => ({ ...comment, html: renderMarkdown(comment.body, mentions) });
+    
+    return {
+        threads: threads.map(thread => ({
+            ...render(thread),
+            replies: replies.filter(reply => reply.parent_id === thread.id).map(render)
+        })),
+        total: total,
+        page: page,
+        totalPages: totalPages
+    };
+}
+
+async function findComment(db, pid, commentId) {
+    const [comments] = await db.execute(`
+        SELECT c.*, u.username
+        FROM project_comments c
+        LEFT JOIN users u ON c.uid = u.uid
+        WHERE c.id = ? AND c.pid = ?
+    `, [commentId, pid]);
+    return comments[0] || null;
+}
+
+// The page of the project's comments that shows the given thread
+async function findCommentPage(db, pid, threadId) {
+    const [positions] = await db.execute(
+        'SELECT COUNT(*) as position FROM project_comments WHERE pid = ? AND parent_id IS NULL AND id <= ?',
+        [pid, threadId]
+    );
+    return Math.max(Math.ceil(Number(positions[0].position) / COMMENTS_PAGE_SIZE), 1);
+}
+
+// Add a comment, or a reply when parentId is set. Returns { id, threadId }
+// or { error }.
+async function createComment(db, pid, uid, body, parentId = null) {
+    let threadId = null;
+    
+    if (parentId) {
+        const parent = await findComment(db, pid, parentId);
+        if (!parent) {
+            return { error: 'The comment you replied to no longer exists' };
+        }
+        threadId = parent.parent_id || parent.id;
+    }
+    
+    const [result] = await db.execute(
+        'INSERT INTO project_comments (pid, uid, parent_id, body) VALUES (?, ?, ?, ?)',
+        [pid, uid, threadId, body]
+    );
+    return { id: result.insertId, threadId: threadId || result.insertId };
+}
+
+async function updateComment(db, pid, commentId, body) {
+    const [result] = await db.execute(
+        'UPDATE project_comments SET body = ?, edited_at = ? WHERE id = ? AND pid = ?',
+        [body, new Date(), commentId, pid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Delete a comment; deleting a top-level comment removes its replies
+async function deleteComment(db, pid, commentId) {
+    const [result] = await db.execute('DELETE FROM project_comments WHERE id = ? AND pid = ?', [commentId, pid]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    COMMENTS_PAGE_SIZE,
+    COMMENT_MAX_LENGTH,
+    listProjectComments,
+    findComment,
+    findCommentPage,
+    createComment,
+    updateComment,
+    deleteComment
+};
@@ -0,0 +1,66 @@
+// Email address verification
+// Links are signed rather than stored: the token carries the user id and the
+// address being confirmed, so changing the email invalidates older links.
+const { signToken, verifySignedToken } = require('./tokens');
+const { sendMail, appUrl } = require('./mailer');
+
+const VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+
+function secret() {
+    return process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET || 'fallback-for-development-only';
+}
+
+// Email a verification link for the user's current address
+async function sendVerificationEmail(req, user) {
+    const token = signToken({
+        purpose: 'verify-email',
+        uid: user.uid,
+        email: user.email,
+        exp: Date.now() + VERIFICATION_TTL_MS
+    }, secret());
+    
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your email address',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Please confirm your email address for Project Manager by opening this link:',
+            '',
+            `${appUrl()}/verify-email/${token}`,
+            '',
+            'The link expires in 48 hours. If you did not create an account, you can ignore this email.'
+        ].join('\n')
+    });
+}
+
+// Mark the address as verified if the token is valid and still matches
+// the account's current email. Returns the verified uid or null.
+async function confirmEmail(db, token) {
+    const payload = verifySignedToken(token, secret());
+    
+    if (!payload || payload.purpose !== 'verify-email') {
+        return null;
+    }
+    
+    const [result] = await db.execute(
+        'UPDATE users SET email_verified_at = ? WHERE uid = ? AND email = ? AND email_verified_at IS NULL',
+        [new Date(), payload.uid, payload.email]
+    );
+    
+    if (result.affectedRows === 0) {
+        // Already verified with this address counts as success
+        const [users] = await db.execute(
+            'SELECT uid FROM users WHERE uid = ? AND email = ? AND email_verified_at IS NOT NULL',
+            [payload.uid, payload.email]
+        );
+        return users.length > 0 ? payload.uid : null;
+    }
+    
+    return payload.uid;
+}
+
+module.exports = {
+    sendVerificationEmail,
+    confirmEmail
+};
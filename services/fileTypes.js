@@ -0,0 +1,87 @@
+// File type detection for uploads
+// The type of an uploaded file is worked out from its contents (magic
+// bytes, or valid UTF-8 text) rather than the mimetype the browser sent,
+// and must agree with the file's extension. Anything else is rejected.
+const path = require('path');
+
+// Binary formats recognised by their leading bytes
+const SIGNATURES = [
+    { mimeType: 'image/png', extensions: ['.png'], matches: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+    { mimeType: 'image/gif', extensions: ['.gif'], matches: (b) => b.subarray(0, 6).toString('latin1') === 'GIF87a' || b.subarray(0, 6).toString('latin1') === 'GIF89a' },
+    { mimeType: 'image/webp', extensions: ['.webp'], matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { mimeType: 'application/pdf', extensions: ['.pdf'], matches: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+// ZIP archives, including Office documents (which are ZIP files)
+const ZIP_TYPES = {
+    '.zip': 'application/zip',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Plain text formats; the contents must be UTF-8 without NUL bytes
+const TEXT_TYPES = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.log': 'text/plain'
+};
+
+// Extensions accepted for upload, for the file input's accept attribute
+const ALLOWED_EXTENSIONS = [
+    ...SIGNATURES.flatMap(signature => signature.extensions),
+    ...Object.keys(ZIP_TYPES),
+    ...Object.keys(TEXT_TYPES)
+];
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+}
+
+function isZip(buffer) {
+    return startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06]);
+}
+
+function isUtf8Text(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Detect an upload's type from its contents and name. Returns { mimeType }
+// or { error } with a message for the user.
+function detectFileType(buffer, originalName) {
+    const extension = path.extname(originalName || '').toLowerCase();
+    
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+        return { error: `Files of this type can't be attached. Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}` };
+    }
+    
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    let mimeType = null;
+    
+    if (signature) {
+        mimeType = signature.extensions.includes(extension) ? signature.mimeType : null;
+    } else if (isZip(buffer)) {
+        mimeType = ZIP_TYPES[extension] || null;
+    } else if (isUtf8Text(buffer)) {
+        mimeType = TEXT_TYPES[extension] || null;
+    }
+    
+    if (!mimeType) {
+        return { error: `The contents of ${originalName} don't match its ${extension} extension` };
+    }
+    return { mimeType };
+}
+
+module.exports = {
+    ALLOWED_EXTENSIONS,
+    detectFileType
+};
@@ -0,0 +1,123 @@
+// Local accounts for external (OpenID Connect) identities
+// A returning identity maps straight to its linked user. A new identity is
+// linked to the existing account with the same email only when both the
+// provider and this site have verified that email; any other account with
+// the address has to link the identity itself, signed in with its password.
+// Otherwise a new account is created just in time.
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const { generateToken } = require('./tokens');
+
+// Usernames follow the registration rules: 3-50 letters, numbers, underscores
+function baseUsername(claims) {
+    const candidate = claims.preferred_username || (claims.email || '').split('@')[0] || claims.name || 'user';
+    const cleaned = String(candidate).replace(/[^a-zA-Z0-9_]/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+    return cleaned.length >= 3 ? cleaned : `user_${cleaned}`.slice(0, 40);
+}
+
+async function uniqueUsername(db, claims) {
+    const base = baseUsername(claims);
+    
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const username = attempt === 0 ? base : `${base}_${Math.floor(1000 + Math.random() * 9000)}`;
+        const [existing] = await db.execute('SELECT uid FROM users WHERE username = ?', [username]);
+        
+        if (existing.length === 0) {
+            return username;
+        }
+    }
+    
+    throw new Error('Could not find a free username for the new account');
+}
+
+async function loadUser(db, uid) {
+    const [users] = await db.execute('SELECT * FROM users WHERE uid = ?', [uid]);
+    return users[0] || null;
+}
+
+// Emails are stored as registration normalizes them, so match them the same way
+function normalizedEmail(claims) {
+    return claims.email ? validator.normalizeEmail(String(claims.email).trim()) || null : null;
+}
+
+async function linkIdentity(db, uid, issuer, claims) {
+    await db.execute(
+        'INSERT INTO user_identities (uid, issuer, subject, email, last_login_at) VALUES (?, ?, ?, ?, ?)',
+        [uid, issuer, claims.sub, normalizedEmail(claims), new Date()]
+    );
+}
+
+// Resolve ID token claims to a local user row. Returns { user, created,
+// linked } or { error } with a message to show on the login page.
+async function resolveIdentityUser(db, issuer, claims) {
+    const [identities] = await db.execute(
+        'SELECT id, uid FROM user_identities WHERE issuer = ? AND subject = ?',
+        [issuer, claims.sub]
+    );
+    
+    if (identities.length > 0) {
+        await db.execute(
+            'UPDATE user_identities SET email = ?, last_login_at = ? WHERE id = ?',
+            [normalizedEmail(claims), new Date(), identities[0].id]
+        );
+        return { user: await loadUser(db, identities[0].uid), created: false, linked: false };
+    }
+    
+    const email = normalizedEmail(claims);
+    
+    if (!email) {
+        return { error: 'Your identity provider did not share an email address, so we cannot sign you in.' };
+    }
+    
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    const [existing] = await db.execute('SELECT uid, email_verified_at FROM users WHERE email = ?', [email]);
+    
+    if (existing.length > 0) {
+        // Both sides must have proved the address; an unverified local
+        // account may have been registered by someone who doesn't own it
+        if (!emailVerified || !existing[0].email_verified_at) {
+            return {
+                error: 'An account with this email already exists. Sign in with your password, ' +
+                    'then link single sign-on from your account settings.'
+            };
+        }
+        
+        await linkIdentity(db, existing[0].uid, issuer, claims);
+        return { user: await loadUser(db, existing[0].uid), created: false, linked: true };
+    }
+    
+    // SSO-only accounts get an unusable random password; a password can be
+    // set later through the reset flow
+    const [result] = await db.execute(
+        'INSERT INTO users (username, email, password, email_verified_at) VALUES (?, ?, ?, ?)',
+        [
+            await uniqueUsername(db, claims),
+            email,
+            await bcrypt.hash(generateToken(), 12),
+            emailVerified ? new Date() : null
+        ]
+    );
+    
+    await linkIdentity(db, result.insertId, issuer, claims);
+    return { user: await loadUser(db, result.insertId), created: true, linked: false };
+}
+
+// Link ID token claims to a signed-in user who asked for it. Returns {} or
+// { error }.
+async function linkIdentityToUser(db, uid, issuer, claims) {
+    const [identities] = await db.execute(
+        'SELECT uid FROM user_identities WHERE issuer = ? AND subject = ?',
+        [issuer, claims.sub]
+    );
+    
+    if (identities.length > 0) {
+        return identities[0].uid === uid
+            ? { error: 'This sign-in is already linked to your account.' }
+            : { error: 'This sign-in is already linked to another account.' };
+    }
+    
+    await linkIdentity(db, uid, issuer, claims);
+    return {};
+}
+
+module.exports = { resolveIdentityUser, linkIdentityToUser };
@@ -0,0 +1,193 @@
+// Brute-force protection for logins
+// Failed attempts are stored in login_attempts so limits hold across
+// restarts and app instances. Repeated failures for a username add a growing
+// delay before the next attempt, too many lock the account (with an unlock
+// link sent by email), and a single IP address is capped across usernames.
+const { signToken, verifySignedToken } = require('./tokens');
+const { sendMail, appUrl } = require('./mailer');
+
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // failures older than this are forgotten
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_MS = 60 * 1000;
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MS = 30 * 60 * 1000; // 30 minutes
+const IP_MAX_FAILURES = 50;
+const UNLOCK_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+function secret() {
+    return process.env.ACCOUNT_UNLOCK_SECRET || process.env.SESSION_SECRET || 'fallback-for-development-only';
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Wait required before the next attempt after `failures` recent failures
+function delayFor(failures) {
+    if (failures < DELAY_AFTER_FAILURES) return 0;
+    return Math.min(1000 * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+}
+
+async function countFailures(db, column, value, since) {
+    const [rows] = await db.execute(
+        `SELECT COUNT(*) as failures FROM login_attempts WHERE ${column} = ? AND created_at > ?`,
+        [value, since]
+    );
+    return Number(rows[0].failures);
+}
+
+// Decide whether a login attempt may proceed. Returns null when allowed or
+// { reason, message } when it must be refused.
+async function checkLoginAllowed(db, username, ip) {
+    const now = Date.now();
+    const windowStart = new Date(now - ATTEMPT_WINDOW_MS);
+    const name = normalizeUsername(username);
+    
+    if (await countFailures(db, 'ip_address', ip, windowStart) >= IP_MAX_FAILURES) {
+        return {
+            reason: 'ip',
+            message: 'Too many failed login attempts from your network. Please try again later.'
+        };
+    }
+    
+    const [locked] = await db.execute(
+        'SELECT uid FROM users WHERE LOWER(username) = ? AND locked_until > ?',
+        [name, new Date(now)]
+    );
+    
+    if (locked.length > 0) {
+        return {
+            reason: 'locked',
+            message: 'This account is temporarily locked after too many failed login attempts. ' +
+                'Use the link we emailed you to unlock it, or try again later.'
+        };
+    }
+    
+    const delay = delayFor(await countFailures(db, 'username', name, windowStart));
+    
+    if (delay > 0 && await countFailures(db, 'username', name, new Date(now - delay)) > 0) {
+        const seconds = Math.ceil(delay / 1000);
+        return {
+            reason: 'delay',
+            message: `Too many failed login attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} and try again.`
+        };
+    }
+    
+    return null;
+}
+
+// Record a failed attempt. `user` is the matching account row, if any; it
+// is locked once it reaches the threshold. Returns { locked }.
+async function recordFailedLogin(req, username, user) {
+    const db = req.db;
+    const now = Date.now();
+    const name = normalizeUsername(username);
+    
+    await db.execute(
+        'INSERT INTO login_attempts (username, ip_address, created_at) VALUES (?, ?, ?)',
+        [name, req.ip, new Date(now)]
+    );
+    await db.execute('DELETE FROM login_attempts WHERE created_at < ?', [new Date(now - ATTEMPT_WINDOW_MS)]);
+    
+    if (!user) {
+        return { locked: false };
+    }
+    
+    const failures = await countFailures(db, 'username', name, new Date(now - ATTEMPT_WINDOW_MS));
+    
+    if (failures < LOCKOUT_THRESHOLD) {
+        return { locked: false };
+    }
+    
+    // Whole seconds, as DATETIME stores them, so the unlock link can name
+    // this lock exactly
+    const lockedUntil = new Date(Math.ceil((now + LOCKOUT_MS) / 1000) * 1000);
+    
+    // Only the request that sets the lock sends the email
+    const [result] = await db.execute(
+        'UPDATE users SET locked_until = ? WHERE uid = ? AND (locked_until IS NULL OR locked_until <= ?)',
+        [lockedUntil, user.uid, new Date(now)]
+    );
+    
+    if (result.affectedRows > 0) {
+        try {
+            await sendUnlockEmail(req, user, lockedUntil);
+        } catch (error) {
+            console.error('Unlock email error:', error);
+        }
+    }
+    
+    return { locked: true };
+}
+
+// Forget failures for a username after a successful login
+async function clearFailedLogins(db, username) {
+    await db.execute('DELETE FROM login_attempts WHERE username = ?', [normalizeUsername(username)]);
+}
+
+// Lift a lockout (unlock link, password reset or admin override)
+async function unlockAccount(db, uid) {
+    const [users] = await db.execute('SELECT username FROM users WHERE uid = ?', [uid]);
+    
+    if (users.length === 0) {
+        return false;
+    }
+    
+    await db.execute('UPDATE users SET locked_until = NULL WHERE uid = ?', [uid]);
+    await clearFailedLogins(db, users[0].username);
+    return true;
+}
+
+async function sendUnlockEmail(req, user, lockedUntil) {
+    const token = signToken({
+        purpose: 'unlock-account',
+        uid: user.uid,
+        lockedUntil: lockedUntil.getTime(),
+        exp: Date.now() + UNLOCK_TTL_MS
+    }, secret());
+    
+    await sendMail({
+        to: user.email,
+        subject: 'Your account has been locked',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Your Project Manager account was locked after too many failed login attempts.',
+            `It will unlock automatically in ${LOCKOUT_MS / 60000} minutes, or you can unlock it now by opening this link:`,
+            '',
+            `${appUrl()}/unlock-account/${token}`,
+            '',
+            'If these attempts were not you, consider changing your password once you are back in.'
+        ].join('\n')
+    });
+}
+
+// Unlock the account named in a valid unlock token. The token is tied to
+// the lock it was sent for, so it works once and not for any later lock.
+// Returns the uid or null.
+async function confirmUnlock(db, token) {
+    const payload = verifySignedToken(token, secret());
+    
+    if (!payload || payload.purpose !== 'unlock-account' || !payload.lockedUntil) {
+        return null;
+    }
+    
+    const [result] = await db.execute(
+        'UPDATE users SET locked_until = NULL WHERE uid = ? AND locked_until = ?',
+        [payload.uid, new Date(payload.lockedUntil)]
+    );
+    
+    if (result.affectedRows === 0) {
+        return null;
+    }
+    
+    return (await unlockAccount(db, payload.uid)) ? payload.uid : null;
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    confirmUnlock
+};
@@ -0,0 +1,108 @@
+// Outgoing mail
+// Messages go through a pluggable transport chosen by MAIL_TRANSPORT.
+// The default "outbox" transport writes each message to a file in
+// MAIL_OUTBOX_DIR so reset and verification links can be opened locally.
+// Links in messages start with APP_URL, which has to be set.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Project Manager <no-reply@localhost>';
+
+// Write messages as .eml files for local development
+function createOutboxTransport(options = {}) {
+    const directory = path.resolve(options.directory || process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    
+    return {
+        name: 'outbox',
+        
+        async send(message) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            
+            const safeRecipient = message.to.replace(/[^\w.@-]/g, '_');
+            const file = path.join(directory, `${Date.now()}-${safeRecipient}.eml`);
+            const contents = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                message.text
+            ].join('\n');
+            
+            await fs.promises.writeFile(file, contents);
+            return { file };
+        }
+    };
+}
+
+// Print messages to the console
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        
+        async send(message) {
+            console.log(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+            return {};
+        }
+    };
+}
+
+const transportFactories = {
+    outbox: createOutboxTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+// Register another transport (e.g. SMTP or an HTTP mail API)
+function registerTransport(name, factory) {
+    transportFactories[name] = factory;
+}
+
+// Replace the active transport instance
+function setTransport(instance) {
+    transport = instance;
+}
+
+function getTransport() {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'outbox';
+        const factory = transportFactories[name];
+        
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = factory();
+    }
+    return transport;
+}
+
+// Send a plain-text message
+async function sendMail({ to, subject, text }) {
+    const message = {
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text
+    };
+    
+    return getTransport().send(message);
+}
+
+// Base URL for links in emails. It must come from APP_URL: a request's Host
+// header is chosen by the client, so links built from it could send reset
+// tokens to someone else's site.
+function appUrl() {
+    if (!process.env.APP_URL) {
+        throw new Error('APP_URL is not set, so links in emails cannot be built');
+    }
+    return process.env.APP_URL.replace(/\/$/, '');
+}
+
+module.exports = {
+    sendMail,
+    appUrl,
+    registerTransport,
+    setTransport
+};
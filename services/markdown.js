@@ -0,0 +1,129 @@
+// Markdown for user-written text such as comments
+// Supports a small subset: paragraphs and line breaks, **bold**, *italic*,
+// ~~strikethrough~~, `code`, fenced code blocks, block quotes, lists,
+// http(s) links and @username mentions. Raw HTML is escaped rather than
+// rendered, and the result still goes through sanitizeHtml.
+const { sanitizeHtml } = require('../middleware/security');
+
+// Usernames are 3-50 letters, numbers or underscores (see routes/auth.js)
+const MENTION_PATTERN = /(^|[^\w@])@(\w{3,50})(?!\w)/g;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Usernames mentioned in the text (lower-cased, without duplicates)
+function extractMentions(text) {
+    const usernames = new Set();
+    for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+        usernames.add(match[2].toLowerCase());
+    }
+    return [...usernames];
+}
+
+// Inline formatting for one block of already escaped text. Code spans,
+// links and mentions are set aside first so their contents aren't
+// formatted again.
+function renderInline(text, mentions) {
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+    
+    let html = text
+        .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+        .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) => {
+            return keep(`<a href="${url}" rel="nofollow noopener">${label}</a>`);
+        })
+        .replace(MENTION_PATTERN, (match, before, username) => {
+            const user = mentions.get(username.toLowerCase());
+            if (!user) return match;
+            return before + keep(`<a href="/users/${encodeURIComponent(user)}" class="mention">@${user}</a>`);
+        });
+    
+    html = html
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/\n/g, '<br>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+// Render Markdown to sanitized HTML. `mentions` maps lower-cased usernames
+// to the real username for users that exist; other @names stay plain text.
+function renderMarkdown(text, mentions = new Map()) {
+    const lines = escapeHtml(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderInline(paragraph.join('\n'), mentions)}</p>`);
+            paragraph = [];
+        }
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        
+        // Fenced code block, up to the closing fence or the end of the text
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+            continue;
+        }
+        
+        // Block quote: consecutive "> " lines
+        if (/^\s*&gt;/.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && /^\s*&gt;/.test(lines[i])) {
+                quoted.push(lines[i].replace(/^\s*&gt; ?/, ''));
+                i++;
+            }
+            i--;
+            blocks.push(`<blockquote>${renderInline(quoted.join('\n'), mentions)}</blockquote>`);
+            continue;
+        }
+        
+        // Bulleted or numbered list: consecutive items of the same kind
+        const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+        if (listMatch) {
+            flushParagraph();
+            const ordered = /\d/.test(listMatch[1]);
+            const itemPattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+            const items = [];
+            while (i < lines.length && itemPattern.test(lines[i])) {
+                items.push(`<li>${renderInline(lines[i].replace(itemPattern, ''), mentions)}</li>`);
+                i++;
+            }
+            i--;
+            const tag = ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag}>${items.join('')}</${tag}>`);
+            continue;
+        }
+        
+        if (line.trim() === '') {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+    
+    return sanitizeHtml(blocks.join('\n'));
+}
+
+module.exports = {
+    extractMentions,
+    renderMarkdown
+};
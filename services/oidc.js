@@ -0,0 +1,219 @@
+// OpenID Connect single sign-on (authorization code flow with PKCE)
+// Provider settings come from the environment:
+//   OIDC_ISSUER         issuer URL; SSO is disabled when unset
+//   OIDC_CLIENT_ID      client id registered with the provider
+//   OIDC_CLIENT_SECRET  client secret (omit for public clients)
+//   OIDC_REDIRECT_URI   callback URL (default: APP_URL + /auth/oidc/callback)
+//   OIDC_SCOPES         requested scopes (default: "openid email profile")
+//   OIDC_PROVIDER_NAME  label for the login button (default: "Single Sign-On")
+// Endpoints and signing keys are read from the issuer's discovery document,
+// so any compliant provider (or a local mock issuer) can be used.
+const crypto = require('crypto');
+const { appUrl } = require('./mailer');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CLOCK_SKEW_SECONDS = 60;
+
+// Signature algorithms accepted for ID tokens
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function getConfig() {
+    return {
+        issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+        redirectUri: process.env.OIDC_REDIRECT_URI || '',
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+        providerName: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On'
+    };
+}
+
+function isEnabled() {
+    const config = getConfig();
+    return !!(config.issuer && config.clientId);
+}
+
+// Button label for the login page, or null when SSO is off
+function providerName() {
+    return isEnabled() ? getConfig().providerName : null;
+}
+
+function redirectUri() {
+    return getConfig().redirectUri || `${appUrl()}/auth/oidc/callback`;
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+    
+    if (!response.ok || !body) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return body;
+}
+
+async function discover() {
+    const { issuer } = getConfig();
+    
+    if (discoveryCache && discoveryCache.issuer === issuer && Date.now() < discoveryCache.expiresAt) {
+        return discoveryCache.document;
+    }
+    
+    const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    
+    if (document.issuer.replace(/\/$/, '') !== issuer) {
+        throw new Error(`OIDC discovery returned issuer ${document.issuer}, expected ${issuer}`);
+    }
+    
+    discoveryCache = { issuer, document, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+    jwksCache = null;
+    return document;
+}
+
+// Find the signing key for a token, refetching the JWKS once for new kids
+async function getSigningKey(kid) {
+    const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+    
+    if (!jwksCache || !findKey()) {
+        const { jwks_uri: jwksUri } = await discover();
+        jwksCache = await fetchJson(jwksUri);
+    }
+    
+    const jwk = findKey();
+    if (!jwk) {
+        throw new Error(`No OIDC signing key found for kid ${kid}`);
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Verify an ID token's signature and standard claims, returning its claims
+async function verifyIdToken(idToken, nonce) {
+    const { issuer, clientId } = getConfig();
+    const [encodedHeader, encodedPayload, encodedSignature] = String(idToken).split('.');
+    
+    if (!encodedHeader || !encodedPayload || !encodedSignature) {
+        throw new Error('Malformed ID token');
+    }
+    
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    const algorithm = ALGORITHMS[header.alg];
+    
+    if (!algorithm) {
+        throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+    }
+    
+    const key = await getSigningKey(header.kid);
+    const valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+        Buffer.from(encodedSignature, 'base64url')
+    );
+    
+    if (!valid) {
+        throw new Error('Invalid ID token signature');
+    }
+    
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = [].concat(claims.aud);
+    
+    if (String(claims.iss).replace(/\/$/, '') !== issuer) {
+        throw new Error('ID token issuer mismatch');
+    }
+    if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+        throw new Error('ID token audience mismatch');
+    }
+    if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new Error('ID token has expired');
+    }
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+    if (!claims.sub) {
+        throw new Error('ID token has no subject');
+    }
+    
+    return claims;
+}
+
+// Build the provider login URL. Returns { url, state } where state must be
+// kept in the session until the callback. `prompt: 'login'` asks the
+// provider to sign the user in again even if it has a session for them.
+async function createAuthorizationRequest(req, { prompt } = {}) {
+    const { clientId, scopes } = getConfig();
+    const { authorization_endpoint: authorizationEndpoint } = await discover();
+    
+    const state = {
+        state: base64url(crypto.randomBytes(16)),
+        nonce: base64url(crypto.randomBytes(16)),
+        codeVerifier: base64url(crypto.randomBytes(32)),
+        createdAt: Date.now()
+    };
+    
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri(),
+        scope: scopes,
+        state: state.state,
+        nonce: state.nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(state.codeVerifier).digest()),
+        code_challenge_method: 'S256',
+        ...(prompt ? { prompt } : {})
+    }).toString();
+    
+    return { url: url.toString(), state };
+}
+
+// Exchange the authorization code and return the verified ID token claims
+async function handleCallback(req, pending) {
+    const { clientId, clientSecret } = getConfig();
+    const { token_endpoint: tokenEndpoint } = await discover();
+    
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: String(req.query.code || ''),
+        redirect_uri: redirectUri(),
+        code_verifier: pending.codeVerifier,
+        client_id: clientId
+    });
+    
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    
+    const tokens = await fetchJson(tokenEndpoint, { method: 'POST', headers, body: params });
+    
+    if (!tokens.id_token) {
+        throw new Error('Token response did not include an ID token');
+    }
+    
+    return verifyIdToken(tokens.id_token, pending.nonce);
+}
+
+module.exports = {
+    isEnabled,
+    providerName,
+    getConfig,
+    createAuthorizationRequest,
+    handleCallback
+};
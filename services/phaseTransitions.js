@@ -0,0 +1,134 @@
+// Phase transitions
+// Creating a project and every change of its phase log a transition
+// (migration 022). Consecutive transitions give the project's stays in each
+// phase, which make up its timeline and the cycle-time analytics: how long
+// projects spend in a phase before moving on.
+const { listedProjectCondition } = require('./projectVisibility');
+const { visibleOwnerCondition, suspensionParams } = require('./accountStatus');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Log a move into `to` (from nowhere for new projects); no-op if the phase
+// didn't change
+async function recordPhaseTransition(db, { pid, uid, from = null, to }) {
+    if (from === to) return;
+    
+    await db.execute(
+        'INSERT INTO phase_transitions (pid, from_phase, to_phase, uid, changed_at) VALUES (?, ?, ?, ?, ?)',
+        [pid, from, to, uid, new Date()]
+    );
+}
+
+// A project's stays from its transitions (oldest first):
+// { phase, enteredAt, leftAt, duration }, leftAt being null for the phase
+// it's still in
+function phaseStays(transitions, now = new Date()) {
+    return transitions.map((transition, index) => {
+        const next = transitions[index + 1];
+        const enteredAt = new Date(transition.changed_at);
+        const leftAt = next ? new Date(next.changed_at) : null;
+        
+        return { phase: transition.to_phase, enteredAt, leftAt, duration: (leftAt || now) - enteredAt };
+    });
+}
+
+async function loadPhaseTimeline(db, pid) {
+    const [transitions] = await db.execute(
+        'SELECT to_phase, changed_at FROM phase_transitions WHERE pid = ? ORDER BY changed_at, id',
+        [pid]
+    );
+    return phaseStays(transitions);
+}
+
+// Value at percentile p (0-100) of sorted numbers, interpolating between ranks
+function percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Cycle times for the projects matching `condition` (on projects p and
+// their owners u), counting only stays that have ended:
+// { phase: { count, average, median, p90 } } in milliseconds
+async function cycleTimes(db, condition, params) {
+    const [transitions] = await db.execute(`
+        SELECT t.pid, t.to_phase, t.changed_at
+        FROM phase_transitions t
+        JOIN projects p ON t.pid = p.pid
+        JOIN users u ON p.uid = u.uid
+        WHERE ${condition}
+        ORDER BY t.pid, t.changed_at, t.id
+    `, params);
+    
+    const byProject = new Map();
+    transitions.forEach(transition => {
+        if (!byProject.has(transition.pid)) {
+            byProject.set(transition.pid, []);
+        }
+        byProject.get(transition.pid).push(transition);
+    });
+    
+    const durations = {};
+    byProject.forEach(projectTransitions => {
+        phaseStays(projectTransitions)
+            .filter(stay => stay.leftAt)
+            .forEach(stay => {
+                (durations[stay.phase] = durations[stay.phase] || []).push(stay.duration);
+            });
+    });
+    
+    const stats = {};
+    Object.entries(durations).forEach(([phase, values]) => {
+        values.sort((a, b) => a - b);
+        stats[phase] = {
+            count: values.length,
+            average: values.reduce((sum, value) => sum + value, 0) / values.length,
+            median: percentile(values, 50),
+            p90: percentile(values, 90)
+        };
+    });
+    return stats;
+}
+
+// Across the projects a user owns or is a member of (private ones only if
+// they own them)
+function userCycleTimes(db, uid) {
+    return cycleTimes(
+        db,
+        "p.deleted_at IS NULL AND (p.uid = ? OR p.pid IN (SELECT pid FROM project_members WHERE uid = ? AND (role = 'owner' OR p.visibility <> 'private')))",
+        [uid, uid]
+    );
+}
+
+// Across all listed public projects
+function publicCycleTimes(db) {
+    return cycleTimes(db, `${listedProjectCondition('p')} AND ${visibleOwnerCondition('u')}`, suspensionParams());
+}
+
+// "3.5 days", "5 hours", "12 minutes"
+function formatDuration(ms) {
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    
+    if (ms >= DAY_MS) {
+        const days = ms / DAY_MS;
+        return plural(days < 10 ? Math.round(days * 10) / 10 : Math.round(days), 'day');
+    }
+    if (ms >= HOUR_MS) {
+        return plural(Math.round(ms / HOUR_MS), 'hour');
+    }
+    if (ms >= MINUTE_MS) {
+        return plural(Math.round(ms / MINUTE_MS), 'minute');
+    }
+    return 'under a minute';
+}
+
+module.exports = {
+    recordPhaseTransition,
+    loadPhaseTimeline,
+    userCycleTimes,
+    publicCycleTimes,
+    formatDuration
+};
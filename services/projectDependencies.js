@@ -0,0 +1,109 @@
+// Project dependencies
+// A project can be blocked by others that have to be finished first
+// (migration 024). Links that would make a project wait on itself, directly
+// or through other projects, are rejected. Projects in the trash keep their
+// links but aren't listed, and don't count as open blockers.
+
+// Projects linked to a project: { blockers, blocking }. Rows carry the
+// given user's role (member_role) so callers can check project:read.
+async function listDependencies(db, pid, uid) {
+    const select = `
+        SELECT p.pid, p.title, p.uid, p.workflow_id, p.phase, p.visibility,
+            CASE WHEN p.uid = ? THEN 'owner' ELSE m.role END as member_role
+        FROM project_dependencies d
+    `;
+    const memberJoin = 'LEFT JOIN project_members m ON m.pid = p.pid AND m.uid = ?';
+    
+    const [blockers] = await db.execute(`
+        ${select}
+        JOIN projects p ON d.blocker_pid = p.pid
+        ${memberJoin}
+        WHERE d.blocked_pid = ? AND p.deleted_at IS NULL
+        ORDER BY p.title
+    `, [uid, uid, pid]);
+    
+    const [blocking] = await db.execute(`
+        ${select}
+        JOIN projects p ON d.blocked_pid = p.pid
+        ${memberJoin}
+        WHERE d.blocker_pid = ? AND p.deleted_at IS NULL
+        ORDER BY p.title
+    `, [uid, uid, pid]);
+    
+    return { blockers, blocking };
+}
+
+// Whether `fromPid` blocks `toPid`, directly or through other projects
+async function blocksTransitively(db, fromPid, toPid) {
+    const seen = new Set([fromPid]);
+    let frontier = [fromPid];
+    
+    while (frontier.length > 0) {
+        const [rows] = await db.execute(
+            `SELECT blocked_pid FROM project_dependencies WHERE blocker_pid IN (${frontier.map(() => '?').join(', ')})`,
+            frontier
+        );
+        
+        frontier = [];
+        for (const { blocked_pid: pid } of rows) {
+            if (pid === toPid) return true;
+            if (!seen.has(pid)) {
+                seen.add(pid);
+                frontier.push(pid);
+            }
+        }
+    }
+    return false;
+}
+
+// Make `blocked` wait on `blocker` (both project rows). Returns {} or
+// { error }.
+async function addDependency(db, blocker, blocked, createdBy) {
+    if (blocker.pid === blocked.pid) {
+        return { error: 'A project cannot block itself' };
+    }
+    
+    if (await blocksTransitively(db, blocked.pid, blocker.pid)) {
+        return { error: `${blocker.title} is already waiting on ${blocked.title}, so it cannot block it too` };
+    }
+    
+    try {
+        await db.execute(
+            'INSERT INTO project_dependencies (blocker_pid, blocked_pid, created_by) VALUES (?, ?, ?)',
+            [blocker.pid, blocked.pid, createdBy]
+        );
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { error: `${blocker.title} already blocks ${blocked.title}` };
+        }
+        throw error;
+    }
+    return {};
+}
+
+async function removeDependency(db, blockerPid, blockedPid) {
+    const [result] = await db.execute(
+        'DELETE FROM project_dependencies WHERE blocker_pid = ? AND blocked_pid = ?',
+        [blockerPid, blockedPid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Blockers of a project that aren't complete in their workflows
+async function listOpenBlockers(db, pid, workflows) {
+    const [blockers] = await db.execute(`
+        SELECT p.pid, p.title, p.workflow_id, p.phase
+        FROM project_dependencies d
+        JOIN projects p ON d.blocker_pid = p.pid
+        WHERE d.blocked_pid = ? AND p.deleted_at IS NULL
+        ORDER BY p.title
+    `, [pid]);
+    return blockers.filter(blocker => !workflows.isComplete(blocker));
+}
+
+module.exports = {
+    listDependencies,
+    addDependency,
+    removeDependency,
+    listOpenBlockers
+};
@@ -0,0 +1,126 @@
+// Project members
+// A project's creator (projects.uid) is always an owner. Other users join
+// through project_members with a role: owners manage the members, editors
+// can edit the project and viewers can read it (including through the API).
+// Rows loaded here carry the user's role as member_role for the
+// project:* policies.
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+// Load a project with the given user's role on it (member_role is null for
+// non-members). Projects in the trash are left out (see services/trash).
+async function findProjectWithRole(db, projectId, uid) {
+    const [projects] = await db.execute(`
+        SELECT p.*, CASE WHEN p.uid = ? THEN 'owner' ELSE m.role END as member_role
+        FROM projects p
+        LEFT JOIN project_members m ON m.pid = p.pid AND m.uid = ?
+        WHERE p.pid = ? AND p.deleted_at IS NULL
+    `, [uid, uid, projectId]);
+    return projects[0] || null;
+}
+
+// The user's role on an already loaded project row, or null
+async function getProjectRole(db, project, uid) {
+    if (!uid) return null;
+    if (project.uid === uid) return 'owner';
+    
+    const [members] = await db.execute(
+        'SELECT role FROM project_members WHERE pid = ? AND uid = ?',
+        [project.pid, uid]
+    );
+    return members.length > 0 ? members[0].role : null;
+}
+
+// Projects the user created or collaborates on, newest first. Private
+// projects are left out unless the user is an owner (see project:read).
+async function listMemberProjects(db, uid) {
+    const [projects] = await db.execute(`
+        SELECT p.*, CASE WHEN p.uid = ? THEN 'owner' ELSE m.role END as member_role
+        FROM projects p
+        LEFT JOIN project_members m ON m.pid = p.pid AND m.uid = ?
+        WHERE (p.uid = ? OR m.role = 'owner' OR (m.uid IS NOT NULL AND p.visibility <> 'private'))
+            AND p.deleted_at IS NULL
+        ORDER BY p.start_date DESC
+    `, [uid, uid, uid]);
+    return projects;
+}
+
+// Everyone on a project, the creator first
+async function listProjectMembers(db, project) {
+    const [creator] = await db.execute('SELECT uid, username, email FROM users WHERE uid = ?', [project.uid]);
+    const [members] = await db.execute(`
+        SELECT u.uid, u.username, u.email, m.role, m.created_at
+        FROM project_members m
+        JOIN users u ON m.uid = u.uid
+        WHERE m.pid = ?
+        ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'editor' THEN 1 ELSE 2 END, u.username
+    `, [project.pid]);
+    
+    return [
+        ...creator.map(user => ({ ...user, role: 'owner', creator: true, created_at: project.created_at })),
+        ...members.map(member => ({ ...member, creator: false }))
+    ];
+}
+
+// Add an existing, active user by username or email. Returns { member } or
+// { error } with a message for the form.
+async function addProjectMember(db, project, login, role, addedBy) {
+    const [users] = await db.execute(
+        "SELECT uid, username, email FROM users WHERE (username = ? OR email = ?) AND status = 'active'",
+        [login, login]
+    );
+    
+    if (users.length === 0) {
+        return { error: 'No active user with that username or email was found' };
+    }
+    
+    const user = users[0];
+    
+    if (user.uid === project.uid) {
+        return { error: `${user.username} already owns this project` };
+    }
+    
+    try {
+        await db.execute(
+            'INSERT INTO project_members (pid, uid, role, added_by) VALUES (?, ?, ?, ?)',
+            [project.pid, user.uid, role, addedBy]
+        );
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { error: `${user.username} is already a member of this project` };
+        }
+        throw error;
+    }
+    
+    return { member: { ...user, role } };
+}
+
+// Change a member's role. The creator's ownership can't be changed.
+// Returns true when a member was updated.
+async function changeMemberRole(db, project, uid, role) {
+    if (uid === project.uid) return false;
+    
+    const [result] = await db.execute(
+        'UPDATE project_members SET role = ? WHERE pid = ? AND uid = ?',
+        [role, project.pid, uid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Remove a member (never the creator). Returns true when a member was removed.
+async function removeProjectMember(db, project, uid) {
+    if (uid === project.uid) return false;
+    
+    const [result] = await db.execute('DELETE FROM project_members WHERE pid = ? AND uid = ?', [project.pid, uid]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    PROJECT_ROLES,
+    findProjectWithRole,
+    getProjectRole,
+    listMemberProjects,
+    listProjectMembers,
+    addProjectMember,
+    changeMemberRole,
+    removeProjectMember
+};
@@ -0,0 +1,151 @@
+// Project edit history
+// Creating, editing or reverting a project records a revision with the
+// fields that changed (migration 021). A field's value as of any revision
+// is the last change to it up to that revision, or, for fields first
+// changed later (or by edits made before history was kept), the value that
+// later change started from.
+const REVISION_FIELDS = ['title', 'short_description', 'start_date', 'end_date', 'phase', 'visibility', 'tags'];
+
+const REVISION_FIELD_LABELS = {
+    title: 'Title',
+    short_description: 'Description',
+    start_date: 'Start date',
+    end_date: 'End date',
+    phase: 'Phase',
+    visibility: 'Visibility',
+    tags: 'Tags'
+};
+
+function dateValue(value) {
+    return value ? new Date(value).toISOString().split('T')[0] : null;
+}
+
+// The tracked fields of a project (a row or submitted form values) and its
+// tags, as stored in revisions
+function snapshotProject(project, tags) {
+    return {
+        title: project.title,
+        short_description: project.short_description,
+        start_date: dateValue(project.start_date),
+        end_date: dateValue(project.end_date),
+        phase: project.phase,
+        visibility: project.visibility,
+        tags: [...tags].sort().join(', ')
+    };
+}
+
+// { field: { from, to } } for each field that differs; everything that's
+// set when there's no `before`
+function diffSnapshots(before, after) {
+    const changes = {};
+    REVISION_FIELDS.forEach(field => {
+        const from = before ? before[field] || null : null;
+        const to = after[field] || null;
+        
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    });
+    return changes;
+}
+
+// Record a revision. Returns its id, or null when nothing changed.
+async function recordRevision(db, { pid, uid, action, before = null, after, revertedFrom = null }) {
+    const changes = diffSnapshots(before, after);
+    
+    if (Object.keys(changes).length === 0) {
+        return null;
+    }
+    
+    const [result] = await db.execute(`
+        INSERT INTO project_revisions (pid, uid, action, changes, reverted_from, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [pid, uid, action, JSON.stringify(changes), revertedFrom, new Date()]);
+    return result.insertId;
+}
+
+// A project's revisions, oldest first, with their authors' usernames
+async function listRevisions(db, pid) {
+    const [revisions] = await db.execute(`
+        SELECT r.id, r.pid, r.uid, r.action, r.changes, r.reverted_from, r.created_at, u.username
+        FROM project_revisions r
+        LEFT JOIN users u ON r.uid = u.uid
+        WHERE r.pid = ?
+        ORDER BY r.id
+    `, [pid]);
+    
+    return revisions.map(revision => ({ ...revision, changes: JSON.parse(revision.changes) }));
+}
+
+// The project's fields as of a revision, from its revisions (oldest first)
+// and its current snapshot
+function snapshotAt(revisions, revisionId, current) {
+    const index = revisions.findIndex(revision => revision.id === revisionId);
+    const upTo = revisions.slice(0, index + 1).reverse();
+    const after = revisions.slice(index + 1);
+    const snapshot = {};
+    
+    REVISION_FIELDS.forEach(field => {
+        const lastChange = upTo.find(revision => field in revision.changes);
+        const nextChange = after.find(revision => field in revision.changes);
+        
+        if (lastChange) {
+            snapshot[field] = lastChange.changes[field].to;
+        } else if (nextChange) {
+            snapshot[field] = nextChange.changes[field].from;
+        } else {
+            snapshot[field] = current[field];
+        }
+    });
+    return snapshot;
+}
+
+// Word-level diff of two strings as runs of { type: 'same' | 'removed' |
+// 'added', text }, from the longest common subsequence of their words
+function diffWords(from, to) {
+    const a = (from || '').split(/(\s+)/).filter(Boolean);
+    const b = (to || '').split(/(\s+)/).filter(Boolean);
+    
+    // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+    
+    const runs = [];
+    const push = (type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            runs.push({ type, text });
+        }
+    };
+    
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            push('same', a[i++]);
+            j++;
+        } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    return runs;
+}
+
+module.exports = {
+    REVISION_FIELDS,
+    REVISION_FIELD_LABELS,
+    snapshotProject,
+    diffSnapshots,
+    recordRevision,
+    listRevisions,
+    snapshotAt,
+    diffWords
+};
@@ -0,0 +1,177 @@
+// Project templates
+// A template holds what similar projects start with: a title pattern,
+// description, workflow and phase, how long the project runs, tags and
+// tasks (migration 023). Title patterns may use {date}, {year} and {month},
+// which are filled in from the new project's start date; the end date and
+// task due dates are kept as days after the start.
+const { createTask } = require('./tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD for a DATE value or form input
+function dateValue(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+function today() {
+    return dateValue(new Date());
+}
+
+function addDays(date, days) {
+    return dateValue(new Date(dateValue(date)).getTime() + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+    return Math.round((new Date(dateValue(to)) - new Date(dateValue(from))) / DAY_MS);
+}
+
+function expandTitlePattern(pattern, startDate) {
+    const start = dateValue(startDate);
+    
+    return pattern
+        .replace(/\{date\}/g, start)
+        .replace(/\{year\}/g, start.slice(0, 4))
+        .replace(/\{month\}/g, start.slice(5, 7));
+}
+
+// A user's templates by name, with how many tasks each adds
+async function listTemplates(db, uid) {
+    const [templates] = await db.execute(`
+        SELECT t.*, COUNT(tt.id) as task_count
+        FROM project_templates t
+        LEFT JOIN project_template_tasks tt ON tt.template_id = t.id
+        WHERE t.uid = ?
+        GROUP BY t.id
+        ORDER BY t.name
+    `, [uid]);
+    return templates;
+}
+
+// One of the user's templates with its tasks, or null
+async function findTemplate(db, templateId, uid) {
+    const [templates] = await db.execute(
+        'SELECT * FROM project_templates WHERE id = ? AND uid = ?',
+        [templateId, uid]
+    );
+    
+    if (templates.length === 0) {
+        return null;
+    }
+    
+    const [tasks] = await db.execute(
+        'SELECT title, priority, due_offset_days FROM project_template_tasks WHERE template_id = ? ORDER BY position, id',
+        [templateId]
+    );
+    return { ...templates[0], tasks };
+}
+
+// Create a template, or update one when `templateId` is given. `data` has
+// the template's columns; `tasks` ({ title, priority, due_offset_days })
+// replace the template's tasks when given. Returns { id } or { error }.
+async function saveTemplate(db, uid, data, { templateId = null, tasks = null } = {}) {
+    const values = [
+        data.name,
+        data.title_pattern,
+        data.short_description,
+        data.workflow_id || null,
+        data.phase || null,
+        data.duration_days || null,
+        data.tags || null
+    ];
+    
+    try {
+        if (templateId) {
+            await db.execute(`
+                UPDATE project_templates
+                SET name = ?, title_pattern = ?, short_description = ?, workflow_id = ?, phase = ?, duration_days = ?, tags = ?
+                WHERE id = ? AND uid = ?
+            `, [...values, templateId, uid]);
+        } else {
+            const [result] = await db.execute(`
+                INSERT INTO project_templates (name, title_pattern, short_description, workflow_id, phase, duration_days, tags, uid)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [...values, uid]);
+            templateId = result.insertId;
+        }
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { error: `You already have a template called ${data.name}` };
+        }
+        throw error;
+    }
+    
+    if (tasks) {
+        await db.execute('DELETE FROM project_template_tasks WHERE template_id = ?', [templateId]);
+        
+        for (const [position, task] of tasks.entries()) {
+            await db.execute(
+                'INSERT INTO project_template_tasks (template_id, title, priority, due_offset_days, position) VALUES (?, ?, ?, ?, ?)',
+                [templateId, task.title, task.priority, task.due_offset_days, position]
+            );
+        }
+    }
+    return { id: templateId };
+}
+
+async function deleteTemplate(db, templateId, uid) {
+    const [result] = await db.execute('DELETE FROM project_templates WHERE id = ? AND uid = ?', [templateId, uid]);
+    return result.affectedRows > 0;
+}
+
+// Template fields for a project like this one, with its tags and tasks
+// (their due dates made relative to its start)
+function templateFromProject(project, tags, tasks) {
+    return {
+        name: project.title,
+        title_pattern: project.title,
+        short_description: project.short_description,
+        workflow_id: project.workflow_id,
+        phase: project.phase,
+        duration_days: project.end_date ? daysBetween(project.start_date, project.end_date) : null,
+        tags: tags.join(', '),
+        tasks: tasks.map(task => ({
+            title: task.title,
+            priority: task.priority,
+            due_offset_days: task.due_date ? daysBetween(project.start_date, task.due_date) : null
+        }))
+    };
+}
+
+// New project form values from a template, starting today
+function projectFormData(template, startDate = today()) {
+    return {
+        title: expandTitlePattern(template.title_pattern, startDate),
+        short_description: template.short_description,
+        start_date: startDate,
+        end_date: template.duration_days ? addDays(startDate, template.duration_days) : '',
+        workflow_id: template.workflow_id,
+        phase: template.phase,
+        tags: template.tags || '',
+        template_id: template.id
+    };
+}
+
+// Give a new project the template's tasks, due relative to its start
+async function createTemplateTasks(db, project, tasks, createdBy) {
+    for (const task of tasks) {
+        await createTask(db, project, {
+            title: task.title,
+            priority: task.priority,
+            status: 'todo',
+            dueDate: task.due_offset_days !== null ? addDays(project.start_date, task.due_offset_days) : null
+        }, createdBy);
+    }
+}
+
+module.exports = {
+    today,
+    addDays,
+    daysBetween,
+    listTemplates,
+    findTemplate,
+    saveTemplate,
+    deleteTemplate,
+    templateFromProject,
+    projectFormData,
+    createTemplateTasks
+};
@@ -0,0 +1,24 @@
+// Project visibility
+// Public projects are listed on the homepage, in search, browse pages,
+// profiles, the public API and stats. Unlisted projects open for anyone
+// with the link but are left out of all of those. Private projects are only
+// visible to their owners (the project:read policy).
+const PROJECT_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+const VISIBILITY_OPTIONS = {
+    public: { label: 'Public', icon: 'bi-globe', description: 'Listed on the homepage and in search' },
+    unlisted: { label: 'Unlisted', icon: 'bi-link-45deg', description: 'Anyone with the link can view it, but it isn\'t listed' },
+    private: { label: 'Private', icon: 'bi-lock', description: 'Only you and the project\'s other owners can see it' }
+};
+
+// Condition for projects (aliased as p) that may appear in listings:
+// public ones that aren't in the trash
+function listedProjectCondition(alias = 'p') {
+    return `${alias}.visibility = 'public' AND ${alias}.deleted_at IS NULL`;
+}
+
+module.exports = {
+    PROJECT_VISIBILITIES,
+    VISIBILITY_OPTIONS,
+    listedProjectCondition
+};
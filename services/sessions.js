@@ -0,0 +1,91 @@
+// Active session management
+// Lists and revokes a user's rows in the sessions table. Session IDs are
+// never sent to the browser; each session is identified by a hash instead.
+const { hashToken } = require('./tokens');
+
+// Short, readable description of a user agent string
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+        ['curl', /^curl\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ];
+    
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+    
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[0];
+    if (!browser) return system[0];
+    return `${browser[0]} on ${system[0]}`;
+}
+
+// Store the browser and address on a logged-in session (copied into the
+// sessions table by the store)
+function recordSessionClient(req) {
+    const userAgent = req.get('user-agent') || null;
+    const client = req.session.client;
+    
+    if (!client || client.userAgent !== userAgent || client.ip !== req.ip) {
+        req.session.client = { userAgent: userAgent, ip: req.ip };
+    }
+}
+
+// Unexpired sessions for a user, most recently used first
+async function listUserSessions(db, uid, currentSid) {
+    const [rows] = await db.execute(`
+        SELECT sid, user_agent, ip_address, last_activity, created_at
+        FROM sessions
+        WHERE uid = ? AND expires_at > ?
+        ORDER BY last_activity DESC
+    `, [uid, new Date()]);
+    
+    return rows.map(row => ({
+        id: hashToken(row.sid),
+        device: describeUserAgent(row.user_agent),
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        lastActivity: row.last_activity,
+        createdAt: row.created_at,
+        current: row.sid === currentSid
+    }));
+}
+
+// Revoke one of a user's sessions by its public id. Returns true if found.
+async function revokeSession(db, uid, id) {
+    const [rows] = await db.execute('SELECT sid FROM sessions WHERE uid = ?', [uid]);
+    const match = rows.find(row => hashToken(row.sid) === id);
+    
+    if (!match) return false;
+    
+    await db.execute('DELETE FROM sessions WHERE sid = ? AND uid = ?', [match.sid, uid]);
+    return true;
+}
+
+// Revoke every session for a user, optionally keeping the current one
+async function revokeUserSessions(db, uid, exceptSid = null) {
+    const [result] = exceptSid
+        ? await db.execute('DELETE FROM sessions WHERE uid = ? AND sid <> ?', [uid, exceptSid])
+        : await db.execute('DELETE FROM sessions WHERE uid = ?', [uid]);
+    return result.affectedRows;
+}
+
+module.exports = {
+    describeUserAgent,
+    recordSessionClient,
+    listUserSessions,
+    revokeSession,
+    revokeUserSessions
+};
@@ -0,0 +1,87 @@
+// File storage
+// Uploaded files go through a pluggable backend chosen by STORAGE_BACKEND.
+// The default "local" backend keeps them on disk under UPLOAD_DIR. Files are
+// addressed by opaque keys generated here, never by user-supplied names.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Store files in a directory on the local disk
+function createLocalStorage(options = {}) {
+    const directory = path.resolve(options.directory || process.env.UPLOAD_DIR || 'uploads');
+    
+    // Keys are generated by newStorageKey, but check anyway that they can't
+    // point outside the upload directory
+    const filePath = (key) => {
+        const file = path.resolve(directory, key);
+        if (!file.startsWith(directory + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return file;
+    };
+    
+    return {
+        name: 'local',
+        
+        async save(key, buffer) {
+            const file = filePath(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+        },
+        
+        async createReadStream(key) {
+            const file = filePath(key);
+            await fs.promises.access(file);
+            return fs.createReadStream(file);
+        },
+        
+        async remove(key) {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+}
+
+const backendFactories = {
+    local: createLocalStorage
+};
+
+let storage = null;
+
+// Register another backend (e.g. an object store)
+function registerBackend(name, factory) {
+    backendFactories[name] = factory;
+}
+
+// Replace the active backend instance
+function setStorage(instance) {
+    storage = instance;
+}
+
+function getStorage() {
+    if (!storage) {
+        const name = process.env.STORAGE_BACKEND || 'local';
+        const factory = backendFactories[name];
+        
+        if (!factory) {
+            throw new Error(`Unknown STORAGE_BACKEND "${name}"`);
+        }
+        storage = factory();
+    }
+    return storage;
+}
+
+// A new random key for a file, grouped by a prefix such as the project
+function newStorageKey(prefix) {
+    return `${prefix}/${crypto.randomBytes(16).toString('hex')}`;
+}
+
+module.exports = {
+    getStorage,
+    newStorageKey,
+    registerBackend,
+    setStorage
+};
@@ -0,0 +1,129 @@
+// Project tags
+// Tags are free-form labels, normalised to lower case with spaces turned
+// into hyphens (e.g. "Machine Learning" -> "machine-learning"). Forms take
+// them as a comma-separated list.
+const { listedProjectCondition } = require('./projectVisibility');
+
+const MAX_TAGS_PER_PROJECT = 10;
+const TAG_MAX_LENGTH = 30;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9.+#-]*$/;
+
+function normalizeTag(tag) {
+    return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Parse a comma-separated list of tags. Returns { tags } (normalised,
+// without duplicates) or { error } with a message for the form.
+function parseTags(input) {
+    const tags = [...new Set(
+        (input || '').split(',').map(normalizeTag).filter(tag => tag.length > 0)
+    )];
+    
+    if (tags.length > MAX_TAGS_PER_PROJECT) {
+        return { error: `A project can have at most ${MAX_TAGS_PER_PROJECT} tags` };
+    }
+    
+    const invalid = tags.find(tag => tag.length > TAG_MAX_LENGTH || !TAG_PATTERN.test(tag));
+    if (invalid) {
+        return {
+            error: `"${invalid}" is not a valid tag. Tags are up to ${TAG_MAX_LENGTH} letters, numbers, spaces or . + # - characters`
+        };
+    }
+    return { tags };
+}
+
+// Tag names for each of the given projects: { [pid]: ['tag', ...] }
+async function loadProjectTags(db, pids) {
+    const tagsByProject = {};
+    pids.forEach(pid => {
+        tagsByProject[pid] = [];
+    });
+    
+    if (pids.length === 0) {
+        return tagsByProject;
+    }
+    
+    const [rows] = await db.execute(`
+        SELECT pt.pid, t.name
+        FROM project_tags pt
+        JOIN tags t ON pt.tag_id = t.id
+        WHERE pt.pid IN (${pids.map(() => '?').join(', ')})
+        ORDER BY t.name
+    `, pids);
+    
+    rows.forEach(row => tagsByProject[row.pid].push(row.name));
+    return tagsByProject;
+}
+
+// Set `tags` on each project row, for listings that show tag chips
+async function attachTags(db, projects) {
+    const tagsByProject = await loadProjectTags(db, projects.map(project => project.pid));
+    projects.forEach(project => {
+        project.tags = tagsByProject[project.pid];
+    });
+    return projects;
+}
+
+// Replace a project's tags with the given (already parsed) tag names
+async function setProjectTags(db, pid, tags) {
+    await db.execute('DELETE FROM project_tags WHERE pid = ?', [pid]);
+    
+    for (const name of tags) {
+        let [existing] = await db.execute('SELECT id FROM tags WHERE name = ?', [name]);
+        
+        if (existing.length === 0) {
+            try {
+                await db.execute('INSERT INTO tags (name) VALUES (?)', [name]);
+            } catch (error) {
+                // Created by a concurrent request
+                if (error.code !== 'ER_DUP_ENTRY') throw error;
+            }
+            [existing] = await db.execute('SELECT id FROM tags WHERE name = ?', [name]);
+        }
+        
+        await db.execute('INSERT INTO project_tags (pid, tag_id) VALUES (?, ?)', [pid, existing[0].id]);
+    }
+}
+
+// Tags on public projects that start with the given prefix, most used
+// first, for autocomplete: [{ name, count }]
+async function suggestTags(db, prefix, limit = 10) {
+    const [rows] = await db.execute(`
+        SELECT t.name, COUNT(pt.pid) as count
+        FROM tags t
+        JOIN project_tags pt ON pt.tag_id = t.id
+        JOIN projects p ON pt.pid = p.pid
+        WHERE t.name LIKE ? ESCAPE '!' AND ${listedProjectCondition('p')}
+        GROUP BY t.id, t.name
+        ORDER BY count DESC, t.name
+        LIMIT ?
+    `, [`${normalizeTag(prefix).replace(/[!%_]/g, '!$&')}%`, limit]);
+    
+    return rows.map(row => ({ name: row.name, count: Number(row.count) }));
+}
+
+// SQL condition (for projects aliased as p) matching projects that have
+// every one of the given tags. Returns { sql, params }.
+function allTagsCondition(tags) {
+    return {
+        sql: `p.pid IN (
+            SELECT pt.pid FROM project_tags pt
+            JOIN tags t ON pt.tag_id = t.id
+            WHERE t.name IN (${tags.map(() => '?').join(', ')})
+            GROUP BY pt.pid
+            HAVING COUNT(DISTINCT t.id) = ?
+        )`,
+        params: [...tags, tags.length]
+    };
+}
+
+module.exports = {
+    MAX_TAGS_PER_PROJECT,
+    normalizeTag,
+    parseTags,
+    loadProjectTags,
+    attachTags,
+    setProjectTags,
+    suggestTags,
+    allTagsCondition
+};
@@ -0,0 +1,238 @@
+// Project tasks and milestones
+// Tasks have a status, priority, optional due date, assignee (a project
+// member) and milestone. A task is overdue when it is past its due date and
+// not done. Progress is the share of a project's (or milestone's) tasks
+// that are done.
+const { getProjectRole } = require('./projectMembers');
+
+const TASK_STATUSES = ['todo', 'in_progress', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Today's date as YYYY-MM-DD, for comparing against DATE columns
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function completionPercent(done, total) {
+    return total > 0 ? Math.round((done / total) * 100) : 0;
+}
+
+// Aggregate columns for task counts; takes one parameter, today()
+const TASK_COUNT_COLUMNS = `
+    COUNT(t.id) as total,
+    SUM(CASE WHEN t.status = 'done' THEN 1 ELSE 0 END) as done,
+    SUM(CASE WHEN t.status <> 'done' AND t.due_date < ? THEN 1 ELSE 0 END) as overdue
+`;
+
+function toCounts(row) {
+    const total = Number(row ? row.total : 0);
+    const done = Number(row && row.done ? row.done : 0);
+    
+    return {
+        total: total,
+        done: done,
+        open: total - done,
+        overdue: Number(row && row.overdue ? row.overdue : 0),
+        percent: completionPercent(done, total)
+    };
+}
+
+// Task counts per project: { [pid]: { total, done, open, overdue, percent } }
+async function summarizeTasks(db, pids) {
+    const summaries = {};
+    pids.forEach(pid => {
+        summaries[pid] = toCounts(null);
+    });
+    
+    if (pids.length === 0) {
+        return summaries;
+    }
+    
+    const [rows] = await db.execute(`
+        SELECT t.pid, ${TASK_COUNT_COLUMNS}
+        FROM tasks t
+        WHERE t.pid IN (${pids.map(() => '?').join(', ')})
+        GROUP BY t.pid
+    `, [today(), ...pids]);
+    
+    rows.forEach(row => {
+        summaries[row.pid] = toCounts(row);
+    });
+    return summaries;
+}
+
+// Task counts across the given projects, or all projects when pids is null
+async function countTasks(db, pids = null) {
+    if (pids && pids.length === 0) {
+        return toCounts(null);
+    }
+    
+    const whereClause = pids ? `WHERE t.pid IN (${pids.map(() => '?').join(', ')})` : '';
+    const [rows] = await db.execute(
+        `SELECT ${TASK_COUNT_COLUMNS} FROM tasks t ${whereClause}`,
+        [today(), ...(pids || [])]
+    );
+    return toCounts(rows[0]);
+}
+
+// A project's tasks: open ones first, then by due date and priority
+async function listProjectTasks(db, pid) {
+    const [tasks] = await db.execute(`
+        SELECT t.*, u.username as assignee_username, m.title as milestone_title,
+            CASE WHEN t.status <> 'done' AND t.due_date < ? THEN 1 ELSE 0 END as overdue
+        FROM tasks t
+        LEFT JOIN users u ON t.assignee_uid = u.uid
+        LEFT JOIN milestones m ON t.milestone_id = m.id
+        WHERE t.pid = ?
+        ORDER BY CASE WHEN t.status = 'done' THEN 1 ELSE 0 END,
+            CASE WHEN t.due_date IS NULL THEN 1 ELSE 0 END, t.due_date,
+            CASE t.priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, t.id
+    `, [today(), pid]);
+    return tasks;
+}
+
+// A project's milestones with their task progress, soonest first
+async function listMilestones(db, pid) {
+    const [milestones] = await db.execute(`
+        SELECT m.id, m.pid, m.title, m.due_date, m.created_at, ${TASK_COUNT_COLUMNS}
+        FROM milestones m
+        LEFT JOIN tasks t ON t.milestone_id = m.id
+        WHERE m.pid = ?
+        GROUP BY m.id, m.pid, m.title, m.due_date, m.created_at
+        ORDER BY CASE WHEN m.due_date IS NULL THEN 1 ELSE 0 END, m.due_date, m.id
+    `, [today(), pid]);
+    
+    return milestones.map(milestone => ({
+        id: milestone.id,
+        pid: milestone.pid,
+        title: milestone.title,
+        due_date: milestone.due_date,
+        created_at: milestone.created_at,
+        ...toCounts(milestone)
+    }));
+}
+
+async function findTask(db, pid, taskId) {
+    const [tasks] = await db.execute('SELECT * FROM tasks WHERE id = ? AND pid = ?', [taskId, pid]);
+    return tasks[0] || null;
+}
+
+async function findMilestone(db, pid, milestoneId) {
+    const [milestones] = await db.execute('SELECT * FROM milestones WHERE id = ? AND pid = ?', [milestoneId, pid]);
+    return milestones[0] || null;
+}
+
+// Check a task's assignee and milestone belong to the project. Returns an
+// error message or null.
+async function checkTaskReferences(db, project, data) {
+    if (data.assigneeUid && !(await getProjectRole(db, project, data.assigneeUid))) {
+        return 'Tasks can only be assigned to project members';
+    }
+    if (data.milestoneId && !(await findMilestone(db, project.pid, data.milestoneId))) {
+        return 'Please select a milestone from this project';
+    }
+    return null;
+}
+
+// Create a task. `data` is { title, assigneeUid, dueDate, status, priority,
+// milestoneId }. Returns { id } or { error }.
+async function createTask(db, project, data, createdBy) {
+    const error = await checkTaskReferences(db, project, data);
+    if (error) return { error };
+    
+    const [result] = await db.execute(`
+        INSERT INTO tasks (pid, milestone_id, title, assignee_uid, due_date, status, priority, created_by, completed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        project.pid,
+        data.milestoneId || null,
+        data.title,
+        data.assigneeUid || null,
+        data.dueDate || null,
+        data.status,
+        data.priority,
+        createdBy,
+        data.status === 'done' ? new Date() : null
+    ]);
+    return { id: result.insertId };
+}
+
+// Update a task with the same fields as createTask. Returns {} or { error }.
+async function updateTask(db, project, taskId, data) {
+    const error = await checkTaskReferences(db, project, data);
+    if (error) return { error };
+    
+    await db.execute(`
+        UPDATE tasks
+        SET milestone_id = ?, title = ?, assignee_uid = ?, due_date = ?, status = ?, priority = ?,
+            completed_at = CASE WHEN ? = 'done' THEN COALESCE(completed_at, ?) ELSE NULL END
+        WHERE id = ? AND pid = ?
+    `, [
+        data.milestoneId || null,
+        data.title,
+        data.assigneeUid || null,
+        data.dueDate || null,
+        data.status,
+        data.priority,
+        data.status,
+        new Date(),
+        taskId,
+        project.pid
+    ]);
+    return {};
+}
+
+// Move a task to another status. Returns true when the task was found.
+async function setTaskStatus(db, pid, taskId, status) {
+    const [result] = await db.execute(`
+        UPDATE tasks
+        SET status = ?, completed_at = CASE WHEN ? = 'done' THEN COALESCE(completed_at, ?) ELSE NULL END
+        WHERE id = ? AND pid = ?
+    `, [status, status, new Date(), taskId, pid]);
+    return result.affectedRows > 0;
+}
+
+async function deleteTask(db, pid, taskId) {
+    const [result] = await db.execute('DELETE FROM tasks WHERE id = ? AND pid = ?', [taskId, pid]);
+    return result.affectedRows > 0;
+}
+
+async function createMilestone(db, pid, { title, dueDate }) {
+    const [result] = await db.execute(
+        'INSERT INTO milestones (pid, title, due_date) VALUES (?, ?, ?)',
+        [pid, title, dueDate || null]
+    );
+    return result.insertId;
+}
+
+async function updateMilestone(db, pid, milestoneId, { title, dueDate }) {
+    const [result] = await db.execute(
+        'UPDATE milestones SET title = ?, due_date = ? WHERE id = ? AND pid = ?',
+        [title, dueDate || null, milestoneId, pid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Delete a milestone; its tasks stay on the project without a milestone
+async function deleteMilestone(db, pid, milestoneId) {
+    const [result] = await db.execute('DELETE FROM milestones WHERE id = ? AND pid = ?', [milestoneId, pid]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    summarizeTasks,
+    countTasks,
+    listProjectTasks,
+    listMilestones,
+    findTask,
+    findMilestone,
+    createTask,
+    updateTask,
+    setTaskStatus,
+    deleteTask,
+    createMilestone,
+    updateMilestone,
+    deleteMilestone
+};
@@ -0,0 +1,50 @@
+// Random tokens for emailed links and API credentials
+// Random tokens are handed to the user once; only their SHA-256 hash is
+// stored. Signed tokens carry their own payload and need no storage.
+const crypto = require('crypto');
+
+// Generate a URL-safe random token
+function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Hash a token for storage and lookup
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Sign a JSON payload with HMAC-SHA256: "<base64url payload>.<signature>"
+function signToken(payload, secret) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    return `${data}.${signature}`;
+}
+
+// Verify a signed token, returning its payload or null when the signature
+// doesn't match or the payload's `exp` (ms timestamp) has passed
+function verifySignedToken(token, secret) {
+    const [data, signature] = String(token).split('.');
+    if (!data || !signature) return null;
+    
+    const expected = crypto.createHmac('sha256', secret).update(data).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+    
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (payload.exp && Date.now() > payload.exp) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    generateToken,
+    hashToken,
+    signToken,
+    verifySignedToken
+};
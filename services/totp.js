@@ -0,0 +1,134 @@
+// Time-based one-time passwords (RFC 6238, built on HOTP from RFC 4226)
+// Compatible with Google Authenticator, Authy, 1Password and similar apps:
+// SHA-1, 6 digits, 30 second steps, base32-encoded secrets.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        
+        value = (value << 5) | index;
+        bits += 5;
+        
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+// New random secret (160 bits, as recommended by RFC 4226)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step number for a timestamp
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// HOTP value for a given counter
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching step, or null. Steps at or before `afterStep`
+// are rejected so a code can't be replayed.
+function verifyCode(secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+    
+    const step = currentStep(now);
+    
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = step + offset;
+        if (afterStep !== null && candidate <= afterStep) continue;
+        
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    
+    return null;
+}
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+function provisioningUri({ secret, accountName, issuer = 'Project Manager' }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// One-time recovery codes in the form "abcde-fghij"
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+}
+
+// Recovery codes are compared case-insensitively and without the dash
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    currentStep,
+    provisioningUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
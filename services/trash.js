@@ -0,0 +1,116 @@
+// Project trash
+// Deleting a project moves it to the trash (projects.deleted_at), which
+// hides it everywhere else. Its owners can restore it from there or delete
+// it for good. Projects left in the trash for TRASH_RETENTION_DAYS (default
+// 30, 0 = until deleted by hand) are purged daily.
+const { listProjectFileKeys, removeStoredFiles } = require('./attachments');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = DAY_MS; // daily
+
+function retentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+}
+
+// When a project deleted at `deletedAt` will be purged (null if never)
+function purgeDate(deletedAt, days = retentionDays()) {
+    return days > 0 ? new Date(new Date(deletedAt).getTime() + days * DAY_MS) : null;
+}
+
+async function trashProject(db, pid, uid) {
+    const [result] = await db.execute(
+        'UPDATE projects SET deleted_at = ?, deleted_by = ? WHERE pid = ? AND deleted_at IS NULL',
+        [new Date(), uid, pid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Trashed projects the user owns, most recently deleted first, with the
+// user's role (member_role) and when each will be purged
+async function listTrash(db, uid) {
+    const [projects] = await db.execute(`
+        SELECT p.pid, p.title, p.short_description, p.uid, p.workflow_id, p.phase, p.deleted_at,
+            d.username as deleted_by_username,
+            CASE WHEN p.uid = ? THEN 'owner' ELSE m.role END as member_role
+        FROM projects p
+        LEFT JOIN project_members m ON m.pid = p.pid AND m.uid = ?
+        LEFT JOIN users d ON p.deleted_by = d.uid
+        WHERE p.deleted_at IS NOT NULL AND (p.uid = ? OR m.role = 'owner')
+        ORDER BY p.deleted_at DESC
+    `, [uid, uid, uid]);
+    
+    return projects.map(project => ({ ...project, purge_at: purgeDate(project.deleted_at) }));
+}
+
+// A trashed project with the user's role on it (member_role is null for
+// non-members), or null
+async function findTrashedProject(db, projectId, uid) {
+    const [projects] = await db.execute(`
+        SELECT p.*, CASE WHEN p.uid = ? THEN 'owner' ELSE m.role END as member_role
+        FROM projects p
+        LEFT JOIN project_members m ON m.pid = p.pid AND m.uid = ?
+        WHERE p.pid = ? AND p.deleted_at IS NOT NULL
+    `, [uid, uid, projectId]);
+    return projects[0] || null;
+}
+
+async function restoreProject(db, pid) {
+    const [result] = await db.execute(
+        'UPDATE projects SET deleted_at = NULL, deleted_by = NULL WHERE pid = ? AND deleted_at IS NOT NULL',
+        [pid]
+    );
+    return result.affectedRows > 0;
+}
+
+// Delete project rows for good; everything else that belongs to them goes
+// through the foreign keys. Returns the storage keys of their files, to be
+// removed once the deletion has committed.
+async function deleteProjects(db, pids) {
+    if (pids.length === 0) return [];
+    
+    const storageKeys = await listProjectFileKeys(db, pids);
+    await db.execute(`DELETE FROM projects WHERE pid IN (${pids.map(() => '?').join(', ')})`, pids);
+    return storageKeys;
+}
+
+// Delete projects for good, with their stored files
+async function purgeProjects(db, pids) {
+    await removeStoredFiles(await deleteProjects(db, pids));
+}
+
+// Purge projects that have been in the trash longer than the retention
+// period. Returns the number purged.
+async function purgeExpiredProjects(db, days = retentionDays()) {
+    if (days <= 0) {
+        return 0;
+    }
+    
+    const [projects] = await db.execute(
+        'SELECT pid FROM projects WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+        [new Date(Date.now() - days * DAY_MS)]
+    );
+    await purgeProjects(db, projects.map(project => project.pid));
+    return projects.length;
+}
+
+// Purge now and then once a day
+function scheduleTrashPurge(db) {
+    const purge = () => purgeExpiredProjects(db).catch(err => console.error('Trash purge error:', err));
+    
+    purge();
+    setInterval(purge, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    retentionDays,
+    trashProject,
+    listTrash,
+    findTrashedProject,
+    restoreProject,
+    deleteProjects,
+    purgeProjects,
+    purgeExpiredProjects,
+    scheduleTrashPurge
+};
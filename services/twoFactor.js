@@ -0,0 +1,78 @@
+// Two-factor authentication storage
+// Wraps the TOTP helpers with the users/totp_recovery_codes tables.
+const { verifyCode, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
+const { hashToken } = require('./tokens');
+
+// Store a confirmed secret and return a fresh set of recovery codes
+async function enableTwoFactor(db, uid, secret, step) {
+    await db.execute(
+        'UPDATE users SET totp_secret = ?, totp_enabled_at = ?, totp_last_step = ? WHERE uid = ?',
+        [secret, new Date(), step, uid]
+    );
+    return replaceRecoveryCodes(db, uid);
+}
+
+async function disableTwoFactor(db, uid) {
+    await db.execute(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE uid = ?',
+        [uid]
+    );
+    await db.execute('DELETE FROM totp_recovery_codes WHERE uid = ?', [uid]);
+}
+
+// Invalidate all recovery codes and issue new ones (plain codes are
+// returned once for display; only hashes are stored)
+async function replaceRecoveryCodes(db, uid) {
+    const codes = generateRecoveryCodes();
+    
+    await db.execute('DELETE FROM totp_recovery_codes WHERE uid = ?', [uid]);
+    for (const code of codes) {
+        await db.execute(
+            'INSERT INTO totp_recovery_codes (uid, code_hash) VALUES (?, ?)',
+            [uid, hashToken(normalizeRecoveryCode(code))]
+        );
+    }
+    
+    return codes;
+}
+
+async function countRecoveryCodes(db, uid) {
+    const [rows] = await db.execute(
+        'SELECT COUNT(*) as remaining FROM totp_recovery_codes WHERE uid = ? AND used_at IS NULL',
+        [uid]
+    );
+    return Number(rows[0].remaining);
+}
+
+// Check an authenticator code or recovery code for a user row that has
+// totp_secret/totp_last_step loaded. Returns { method } on success or null.
+async function verifySecondFactor(db, user, code) {
+    const step = verifyCode(user.totp_secret, code, { afterStep: user.totp_last_step });
+    
+    if (step !== null) {
+        // Claim the step atomically so the same code can't log in twice
+        const [result] = await db.execute(
+            'UPDATE users SET totp_last_step = ? WHERE uid = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+            [step, user.uid, step]
+        );
+        return result.affectedRows > 0 ? { method: 'totp' } : null;
+    }
+    
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (recoveryCode.length !== 10) return null;
+    
+    const [result] = await db.execute(
+        'UPDATE totp_recovery_codes SET used_at = ? WHERE uid = ? AND code_hash = ? AND used_at IS NULL',
+        [new Date(), user.uid, hashToken(recoveryCode)]
+    );
+    
+    return result.affectedRows > 0 ? { method: 'recovery' } : null;
+}
+
+module.exports = {
+    enableTwoFactor,
+    disableTwoFactor,
+    replaceRecoveryCodes,
+    countRecoveryCodes,
+    verifySecondFactor
+};
@@ -0,0 +1,188 @@
+// Phase workflows
+// Projects move through the phases of their workflow (migration 018). A
+// workflow lists its phases in order, each with a name and color, and may
+// restrict which phase can follow which; without transitions any move is
+// allowed. The final phase is the one that counts as complete.
+//
+// loadWorkflows() reads them all into a registry, which app.js puts on each
+// request (req.workflows) and view (workflows). Workflows are only changed
+// by migrations, so the registry is kept in memory and re-read once it is
+// WORKFLOW_CACHE_TTL_MS old; a change made while the app runs shows up
+// within that time in each process.
+const DEFAULT_PHASE_COLOR = '#6c757d';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const WORKFLOW_CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+let workflowCache = null;
+
+function toPhase(row) {
+    return {
+        id: row.id,
+        slug: row.slug,
+        name: row.name,
+        // Colors end up in style attributes, so only plain hex values
+        color: COLOR_PATTERN.test(row.color) ? row.color : DEFAULT_PHASE_COLOR,
+        position: row.position
+    };
+}
+
+// Stand-in for a phase that's no longer part of any workflow
+function unknownPhase(slug) {
+    return {
+        id: null,
+        slug,
+        name: slug ? slug.charAt(0).toUpperCase() + slug.slice(1) : 'Not specified',
+        color: DEFAULT_PHASE_COLOR,
+        position: null
+    };
+}
+
+function findWorkflowPhase(workflow, slug) {
+    return workflow.phases.find(phase => phase.slug === slug) || null;
+}
+
+// Phases a project in `currentPhase` may move to, in workflow order,
+// including the phase it's in. All of them for new projects.
+function allowedPhases(workflow, currentPhase) {
+    if (!workflow.transitions || !findWorkflowPhase(workflow, currentPhase)) {
+        return workflow.phases;
+    }
+    
+    const next = workflow.transitions.get(currentPhase) || new Set();
+    return workflow.phases.filter(phase => phase.slug === currentPhase || next.has(phase.slug));
+}
+
+// Check a project's phase against its workflow, and the move from its
+// current phase if it has one. Returns an error message or null.
+function phaseChangeError(workflow, currentPhase, newPhase) {
+    const target = findWorkflowPhase(workflow, newPhase);
+    
+    if (!target) {
+        return `Please select a phase from the ${workflow.name} workflow`;
+    }
+    
+    if (currentPhase && !allowedPhases(workflow, currentPhase).includes(target)) {
+        const current = findWorkflowPhase(workflow, currentPhase);
+        return `Projects can't move from ${current.name} to ${target.name} in the ${workflow.name} workflow`;
+    }
+    return null;
+}
+
+function createWorkflowRegistry(workflowRows, phaseRows, transitionRows) {
+    const workflows = workflowRows.map(row => {
+        const phases = phaseRows.filter(phase => phase.workflow_id === row.id).map(toPhase);
+        const transitionsFrom = transitionRows.filter(transition => transition.workflow_id === row.id);
+        let transitions = null;
+        
+        if (transitionsFrom.length > 0) {
+            transitions = new Map(phases.map(phase => [phase.slug, new Set()]));
+            transitionsFrom.forEach(transition => {
+                transitions.get(transition.from_slug).add(transition.to_slug);
+            });
+        }
+        
+        return { id: row.id, name: row.name, isDefault: Boolean(row.is_default), phases, transitions };
+    });
+    
+    const defaultWorkflow = workflows.find(workflow => workflow.isDefault) || workflows[0];
+    
+    if (!defaultWorkflow) {
+        throw new Error('No workflows are defined. Run the database migrations.');
+    }
+    
+    // Every phase by slug; where workflows share a slug, the default
+    // workflow's phase (then the first workflow's) describes it
+    const phasesBySlug = new Map();
+    [defaultWorkflow, ...workflows].forEach(workflow => {
+        workflow.phases.forEach(phase => {
+            if (!phasesBySlug.has(phase.slug)) {
+                phasesBySlug.set(phase.slug, phase);
+            }
+        });
+    });
+    
+    function get(id) {
+        return workflows.find(workflow => workflow.id === Number(id)) || null;
+    }
+    
+    function forProject(project) {
+        return get(project.workflow_id) || defaultWorkflow;
+    }
+    
+    // The phase a project is in, for badges
+    function phaseOf(project) {
+        return findWorkflowPhase(forProject(project), project.phase)
+            || phasesBySlug.get(project.phase)
+            || unknownPhase(project.phase);
+    }
+    
+    function isComplete(project) {
+        const phases = forProject(project).phases;
+        return phases.length > 0 && phases[phases.length - 1].slug === project.phase;
+    }
+    
+    // Project counts for every phase from rows of { phase, count }, plus the
+    // total: { design: 2, ..., total: 5 }
+    function countByPhase(rows) {
+        const counts = {};
+        phasesBySlug.forEach((phase, slug) => {
+            counts[slug] = 0;
+        });
+        counts.total = 0;
+        
+        rows.forEach(row => {
+            counts[row.phase] = (counts[row.phase] || 0) + Number(row.count);
+            counts.total += Number(row.count);
+        });
+        return counts;
+    }
+    
+    return {
+        workflows,
+        defaultWorkflow,
+        get,
+        forProject,
+        phases: () => [...phasesBySlug.values()],
+        findPhase: (slug) => phasesBySlug.get(slug) || null,
+        phaseOf,
+        isComplete,
+        countByPhase
+    };
+}
+
+async function readWorkflows(db) {
+    const [workflows] = await db.execute(
+        'SELECT id, name, is_default FROM workflows ORDER BY is_default DESC, name'
+    );
+    const [phases] = await db.execute(
+        'SELECT id, workflow_id, slug, name, color, position FROM workflow_phases ORDER BY workflow_id, position, id'
+    );
+    const [transitions] = await db.execute(`
+        SELECT f.workflow_id, f.slug as from_slug, t.slug as to_slug
+        FROM workflow_transitions wt
+        JOIN workflow_phases f ON wt.from_phase_id = f.id
+        JOIN workflow_phases t ON wt.to_phase_id = t.id
+        WHERE f.workflow_id = t.workflow_id
+    `);
+    
+    return createWorkflowRegistry(workflows, phases, transitions);
+}
+
+// The workflow registry, read from the database at most once per
+// WORKFLOW_CACHE_TTL_MS for each database
+async function loadWorkflows(db) {
+    if (workflowCache && workflowCache.db === db && Date.now() < workflowCache.expiresAt) {
+        return workflowCache.registry;
+    }
+    
+    const registry = await readWorkflows(db);
+    workflowCache = { db, registry, expiresAt: Date.now() + WORKFLOW_CACHE_TTL_MS };
+    return registry;
+}
+
+module.exports = {
+    loadWorkflows,
+    findWorkflowPhase,
+    allowedPhases,
+    phaseChangeError
+};